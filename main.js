@@ -4,20 +4,76 @@ const state = {
   year: 2010,
   buffer: 30,
   selectedIso3: null,
+  compareIso3s: [], // further countries added with shift-click
+  level: "country", // map by "country" or "region"
+  selectedRegion: null, // region drilled into in regional mode
+  whatif: [], // hypothetical plants, see makeHypotheticalPlant()
+  placing: false, // map clicks place hypothetical plants
+  showOverlap: false, // overlap map mode, see renderOverlapDiscs()
+  projection: "natural", // see mapProjections
+  fit: "world", // preset view, see mapFits
+  rotate: [0, -20], // globe rotation [λ, φ] in degrees
+  split: null, // null | "side" | "swipe": a second map, see initSplitMap()
+  splitYear: 2000, // the second map's year and buffer
+  splitBuffer: 30,
+  metric: "auto", // choropleth metric, see mapMetrics
+  changeMode: "net", // what the change metric counts, see changeModes
+  classification: "linear", // see classifications
+  selectedPlantId: null, // plant picked in the table or on the map
+  popType: "total", // "total" | "urban" | "rural"
+  timeline: "census", // "census" (snapshots) | "annual" (year by year)
+  locale: "en", // see localeNames
+  units: "km", // distances shown in "km" or "mi"
   showPlants: false,
+  showReactors: false,
+  reactorStatuses: ["operational", "shutdown", "construction"],
+  story: null, // step shown in story mode, see storySteps
   playing: false
 };
 
-const years = [1990, 2000, 2010];
-const buffers = [30, 75, 300];
+let years = []; // census snapshots, derived from the data in indexData()
+let annualYears = []; // year-by-year timeline, from the reactors' cap_{year} columns
+const popTypes = ["total", "urban", "rural"];
+const popNearColumn = {
+  total: "pop_near",
+  urban: "pop_near_urban",
+  rural: "pop_near_rural"
+};
+let buffers = []; // distance buffers (km), derived from the data in indexData()
+
+// one colour per buffer, ordered from nearest to farthest
+const bufferPalette = ["#2166ac", "#4393c3", "#1a9850", "#fdae61", "#f46d43", "#b2182b"];
+
+// reactor families (`type_code` in reactors_clean.csv)
+const reactorTypes = ["PWR", "BWR", "PHWR", "GCR", "LWGR", "FBR", "Other"];
+const reactorTypeLabel = {
+  PWR: "Pressurised water",
+  BWR: "Boiling water",
+  PHWR: "Heavy water",
+  GCR: "Gas cooled",
+  LWGR: "Graphite moderated (RBMK)",
+  FBR: "Fast breeder",
+  Other: "Other / unknown"
+};
+
+// reactor status filter groups
+const reactorStatusGroups = ["operational", "shutdown", "construction"];
+const reactorStatusLabel = {
+  operational: "Operational",
+  shutdown: "Shut down",
+  construction: "Under construction"
+};
+
+// most countries in one comparison (selected + compared)
+const maxCompare = 6;
 
 const mapWidth = 720;
 const mapHeight = 430;
 
 // detail chart layout
-const detailWidth = 420;
+const detailWidth = 520;
 const detailHeight = 260;
-const detailMargin = { top: 30, right: 20, bottom: 40, left: 60 };
+const detailMargin = { top: 40, right: 20, bottom: 40, left: 60 };
 const innerDetailWidth = detailWidth - detailMargin.left - detailMargin.right;
 const innerDetailHeight = detailHeight - detailMargin.top - detailMargin.bottom;
 
@@ -27,42 +83,125 @@ const mapSvg = d3
   .attr("viewBox", `0 0 ${mapWidth} ${mapHeight}`)
   .attr("preserveAspectRatio", "xMidYMid meet");
 
+// second map for split comparisons, see initSplitMap()
+const splitSvg = d3
+  .select("#split-svg")
+  .attr("viewBox", `0 0 ${mapWidth} ${mapHeight}`)
+  .attr("preserveAspectRatio", "xMidYMid meet");
+
 const detailSvg = d3
   .select("#detail-svg")
   .attr("viewBox", `0 0 ${detailWidth} ${detailHeight}`)
   .attr("preserveAspectRatio", "xMidYMid meet");
 
+// comparison trend chart (shares the detail chart's width and margins)
+const compareHeight = 170;
+const innerCompareHeight = compareHeight - detailMargin.top - detailMargin.bottom;
+
+const compareSvg = d3
+  .select("#compare-svg")
+  .attr("viewBox", `0 0 ${detailWidth} ${compareHeight}`)
+  .attr("preserveAspectRatio", "xMidYMid meet")
+  .style("display", "none");
+
+// time series under the profile bars: small multiples per buffer, then rank
+const trendHeight = 330;
+const trendCellHeight = 66;
+const trendRankHeight = 90;
+
+const trendSvg = d3
+  .select("#trend-svg")
+  .attr("viewBox", `0 0 ${detailWidth} ${trendHeight}`)
+  .attr("preserveAspectRatio", "xMidYMid meet")
+  .style("display", "none");
+
 const tooltip = d3.select("#tooltip");
 const yearSlider = d3.select("#year-slider");
 const yearLabel = d3.select("#year-label");
 const bufferSelect = d3.select("#buffer-select");
+const popTypeSelect = d3.select("#poptype-select");
+const localeSelect = d3.select("#locale-select");
+const unitsSelect = d3.select("#units-select");
 const playBtn = d3.select("#play-btn");
+const toggleAnnual = d3.select("#toggle-annual");
 const togglePlants = d3.select("#toggle-plants");
+const toggleReactors = d3.select("#toggle-reactors");
+const toggleOverlap = d3.select("#toggle-overlap");
+const reactorStatusInputs = d3.selectAll("#reactor-status-filters input");
+const reactorLegend = d3.select("#reactor-legend");
 const detailTitle = d3.select("#detail-title");
 const detailSummary = d3.select("#detail-summary");
+const metricSelect = d3.select("#metric-select");
+const classifySelect = d3.select("#classify-select");
+const changeModeSelect = d3.select("#change-mode");
+const levelSelect = d3.select("#level-select");
+const regionBackBtn = d3.select("#region-back");
+const toggleWhatif = d3.select("#toggle-whatif");
+const whatifFile = d3.select("#whatif-file");
+const whatifStatus = d3.select("#whatif-status");
+const plantTable = d3.select("#plant-table");
+const plantCount = d3.select("#plant-count");
+const plantProfile = d3.select("#plant-profile");
+const plantSearch = d3.select("#plant-search");
+const plantRegionSelect = d3.select("#plant-region");
+const plantReactorsSelect = d3.select("#plant-reactors");
+const plantPopMin = d3.select("#plant-pop-min");
+const plantPopMax = d3.select("#plant-pop-max");
+const liveRegion = d3.select("#live-region");
+const mapTable = d3.select("#map-table");
+const detailTable = d3.select("#detail-table");
+const compareTable = d3.select("#compare-table");
+const trendTable = d3.select("#trend-table");
+const worldSummary = d3.select("#world-summary");
+const exportDataSelect = d3.select("#export-data");
+const exportFigureSelect = d3.select("#export-figure");
+const exportStatus = d3.select("#export-status");
+const projectionSelect = d3.select("#projection-select");
+const fitSelect = d3.select("#fit-select");
+const splitModeSelect = d3.select("#split-mode");
+const splitYearSelect = d3.select("#split-year");
+const splitBufferSelect = d3.select("#split-buffer");
+const swipeSlider = d3.select("#swipe-slider");
 
 // Groups inside SVGs
 const mapG = mapSvg.append("g").attr("class", "map-root");
 const countriesG = mapG.append("g").attr("class", "countries");
+const overlapG = mapG.append("g").attr("class", "overlap-layer");
+const ringsG = mapG.append("g").attr("class", "rings-layer");
 const plantsG = mapG.append("g").attr("class", "plants-layer");
+const reactorsG = mapG.append("g").attr("class", "reactors-layer");
+const whatifG = mapG.append("g").attr("class", "whatif-layer");
+
+// opaque background so the swiped map hides the one underneath
+splitSvg.append("rect").attr("width", mapWidth).attr("height", mapHeight).attr("fill", "#ffffff");
+const splitG = splitSvg.append("g").attr("class", "map-root");
+const splitCountriesG = splitG.append("g").attr("class", "countries");
+const splitPlantsG = splitG.append("g").attr("class", "plants-layer");
+const splitReactorsG = splitG.append("g").attr("class", "reactors-layer");
+const splitWhatifG = splitG.append("g").attr("class", "whatif-layer");
+
+// overlay layers of the main map and of the split map, in mapViews() order
+const mapLayers = [
+  { plantsG, reactorsG, whatifG, nav: "" },
+  { plantsG: splitPlantsG, reactorsG: splitReactorsG, whatifG: splitWhatifG, nav: "split-" }
+];
 
 const detailG = detailSvg
   .append("g")
   .attr("transform", `translate(${detailMargin.left},${detailMargin.top})`);
 
 // Scales & axes for detail chart (Q3: exposure vs distance)
+// (domains are filled in once the buffers are known)
 const xDetail = d3
   .scaleBand()
-  .domain(buffers) // [30, 75, 300]
   .range([0, innerDetailWidth])
   .padding(0.2);
 
 const yDetail = d3.scaleLinear().range([innerDetailHeight, 0]);
 
-const colorBuffer = d3
-  .scaleOrdinal()
-  .domain(buffers)
-  .range(["#2166ac", "#1a9850", "#f46d43"]);
+const colorBuffer = d3.scaleOrdinal();
+
+const colorCountry = d3.scaleOrdinal().range(d3.schemeTableau10);
 
 detailG
   .append("g")
@@ -80,6 +219,7 @@ detailG
   .attr("y", -detailMargin.left + 15)
   .attr("text-anchor", "middle")
   .attr("font-size", 11)
+  .attr("data-i18n", "")
   .text("% of population near plants");
 
 // x-axis label
@@ -90,20 +230,54 @@ detailSvg
   .attr("y", detailHeight - 5)
   .attr("text-anchor", "middle")
   .attr("font-size", 11)
+  .attr("data-i18n", "")
   .text("Distance from plant");
 
+const trendG = trendSvg
+  .append("g")
+  .attr("transform", `translate(${detailMargin.left},16)`);
+
+const compareG = compareSvg
+  .append("g")
+  .attr("transform", `translate(${detailMargin.left},${detailMargin.top})`);
+
+compareG
+  .append("g")
+  .attr("class", "x-axis")
+  .attr("transform", `translate(0,${innerCompareHeight})`);
+
+compareG.append("g").attr("class", "y-axis");
+
+compareG
+  .append("text")
+  .attr("class", "chart-label")
+  .attr("x", 0)
+  .attr("y", -14)
+  .attr("font-size", 11);
+
+compareG
+  .append("line")
+  .attr("class", "year-marker")
+  .attr("stroke", "#999")
+  .attr("stroke-dasharray", "3,3");
+
 // Data containers
 let world;
 let countryRows;
 let plantRows;
+let reactorRows;
 
-let exposureByKey = new Map(); // `${iso3}_${year}_${buffer}` -> row
-let exposuresByCountry = d3.group(); // iso3 -> rows
-let rankByYearBuffer = new Map(); // `${year}_${buffer}` -> Map(iso3 -> rank)
+let reactorsByPlant = new Map(); // plant_id -> reactor rows
+let plantsByIso3 = new Map(); // iso3 -> plant rows
 
-// NEW: change in exposure per decade (absolute people)
-let deltaExposureByKey = new Map(); // `${iso3}_${year}_${buffer}` -> Δpop_near vs previous decade (clipped at 0)
-let maxDeltaByBuffer = new Map();   // buffer -> max positive Δpop_near
+// exposure lookups for each timeline, see indexExposure()
+let censusIndex;
+let annualIndex;
+// the same per region, see aggregateRegions()
+let censusRegionIndex;
+let annualRegionIndex;
+let regionByIso3 = new Map();
+let countryRegions = new Map(); // iso3 -> region for every map country, from country_regions.csv
 
 function keyExposure(iso3, year, buffer) {
   return `${iso3}_${year}_${buffer}`;
@@ -113,100 +287,887 @@ function keyYearBuffer(year, buffer) {
   return `${year}_${buffer}`;
 }
 
-function featureIso3(f) {
+function keyDelta(iso3, year, buffer, popType = state.popType) {
+  return `${keyExposure(iso3, year, buffer)}_${popType}`;
+}
+
+// exposed people for the chosen breakdown (total, urban or rural)
+function popNear(row, popType = state.popType) {
+  if (!row) return null;
+  return row[popNearColumn[popType]];
+}
+
+// share of the whole population that is exposed and in the chosen breakdown,
+// so urban + rural add up to the total
+function pctNear(row, popType = state.popType) {
+  if (!row) return null;
+  if (popType === "total") return row.pct_near;
+  const pop = popNear(row, popType);
+  if (pop == null || !(row.pop_total > 0)) return null;
+  return (pop / row.pop_total) * 100;
+}
+
+// plant column, e.g. pop30_2010, pop30u_2010 (urban) or pop30r_2010 (rural)
+function plantPopKey(buffer, year, popType = state.popType) {
+  const part = popType === "urban" ? "u" : popType === "rural" ? "r" : "";
+  return `pop${buffer}${part}_${year}`;
+}
+
+function popTypeNoun(popType = state.popType) {
+  if (popType === "urban") return "urban residents";
+  if (popType === "rural") return "rural residents";
+  return "people";
+}
+
+function featureName(f) {
   const p = f.properties || {};
-  const alias = { ANT: "NLD", KOS: "XKX" }; // expand if needed
-  const candidates = [
-    f.id,
-    p.iso_a3,
-    p.ISO_A3,
-    p.adm0_a3,
-    p.ADM0_A3,
-    p.iso3,
-    p.ISO3
-  ];
-  for (const c of candidates) {
-    if (!c) continue;
-    const s = c.toString().trim();
-    if (/^[A-Za-z]{3}$/.test(s)) {
-      const up = s.toUpperCase();
-      return alias[up] || up;
-    }
+  return p.name || p.ADMIN || p.NAME || "Unknown";
+}
+
+// Joining features to the data: the first property holding a three-letter
+// code, mapped through the aliases. Extra aliases come from the join
+// diagnostics panel, see renderJoinDiagnostics().
+const featureCodeProperties = ["id", "iso_a3", "ISO_A3", "adm0_a3", "ADM0_A3", "iso3", "ISO3"];
+const builtinAliases = { ANT: "NLD", KOS: "XKX" };
+const aliasStorageKey = "nuclear-exposure-aliases";
+let userAliases = readUserAliases(); // feature code (or name, for features without one) -> iso3
+
+// every usable code on a feature, in the order they are tried
+function featureCodes(f) {
+  const p = f.properties || {};
+  return featureCodeProperties.flatMap(property => {
+    const c = property === "id" ? f.id : p[property];
+    const s = c == null ? "" : c.toString().trim();
+    return /^[A-Za-z]{3}$/.test(s) ? [{ property, code: s.toUpperCase() }] : [];
+  });
+}
+
+// { iso3, code, property, alias: null | "builtin" | "user" }, or null
+function featureMatch(f) {
+  const [first] = featureCodes(f);
+  if (!first) {
+    const byName = userAliases[featureName(f)];
+    return byName ? { iso3: byName, code: null, property: "name", alias: "user" } : null;
+  }
+  const { code, property } = first;
+  if (userAliases[code]) return { iso3: userAliases[code], code, property, alias: "user" };
+  if (builtinAliases[code]) return { iso3: builtinAliases[code], code, property, alias: "builtin" };
+  return { iso3: code, code, property, alias: null };
+}
+
+function featureIso3(f) {
+  return featureMatch(f)?.iso3 ?? null;
+}
+
+function readUserAliases() {
+  try {
+    return JSON.parse(window.localStorage.getItem(aliasStorageKey)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveUserAliases() {
+  try {
+    window.localStorage.setItem(aliasStorageKey, JSON.stringify(userAliases));
+  } catch (error) {
+    d3.select("#alias-status").text(t("The aliases could not be saved in this browser."));
   }
-  return null;
 }
 
 async function loadData() {
-  [world, countryRows, plantRows] = await Promise.all([
+  let regionRows;
+  [world, countryRows, plantRows, reactorRows, regionRows] = await Promise.all([
     d3.json("./data/world.geojson"),
     d3.csv("./data/country_exposure_long.csv", d3.autoType),
-    d3.csv("./data/plants_exposure_clean.csv", d3.autoType)
+    d3.csv("./data/plants_exposure_clean.csv", d3.autoType),
+    d3.csv("./data/reactors_clean.csv", d3.autoType),
+    d3.csv("./data/country_regions.csv")
   ]);
+  countryRegions = new Map(regionRows.map(d => [d.iso3, d.region]));
+  bundledData = { countryRows, plantRows };
 
-  // keep only our chosen buffers
-  countryRows = countryRows.filter(d => buffers.includes(d.buffer_km));
+  reactorsByPlant = d3.group(
+    reactorRows.filter(d => d.plant_id != null),
+    d => d.plant_id
+  );
 
-  // Build exposure lookup
-  countryRows.forEach(d => {
-    exposureByKey.set(keyExposure(d.iso3, d.year, d.buffer_km), d);
-  });
+  indexData();
+
+  initMap();
+  initSplitMap();
+  initDetailChart();
+  initReactorLegend();
+  initControls();
+  initExport();
+  initWhatif();
+  initDatasets();
+  initJoinDiagnostics();
+  initPlantTable();
+  initStory();
+  initUrlState();
+}
+
+// Everything derived from the country and plant tables: buffers, census
+// years and the exposure indexes. Runs again when a dataset is loaded.
+function indexData() {
+  plantsByIso3 = d3.group(
+    plantRows.filter(d => d.iso3),
+    d => d.iso3
+  );
+  overlapCache.clear();
+
+  // buffers and census years come from the data, in ascending order
+  buffers = Array.from(new Set(countryRows.map(d => d.buffer_km)))
+    .filter(b => b != null)
+    .sort(d3.ascending);
+  if (!buffers.includes(state.buffer)) state.buffer = buffers[0];
+  if (!buffers.includes(state.splitBuffer)) state.splitBuffer = state.buffer;
+  years = Array.from(new Set(countryRows.map(d => d.year)))
+    .filter(y => y != null)
+    .sort(d3.ascending);
+
+  xDetail.domain(buffers);
+  colorBuffer
+    .domain(buffers)
+    .range(
+      buffers.length <= bufferPalette.length
+        ? bufferPalette.slice(0, buffers.length)
+        : d3.quantize(d3.interpolateTurbo, buffers.length)
+    );
+
+  // census snapshots: each one compared with the previous snapshot
+  censusIndex = indexExposure(countryRows, years, 1, (row, prevYear, popType) =>
+    grossChange([row.iso3], row.year, prevYear, row.buffer_km, popType, false)
+  );
+
+  // year-by-year series: compared with the same year a decade earlier
+  annualYears = reactorRows.columns
+    .filter(c => /^cap_\d{4}$/.test(c))
+    .map(c => +c.slice(4))
+    .sort(d3.ascending);
+  annualIndex = indexExposure(buildAnnualRows(), annualYears, 10, (row, prevYear, popType) =>
+    grossChange([row.iso3], row.year, prevYear, row.buffer_km, popType, true)
+  );
 
-  exposuresByCountry = d3.group(countryRows, d => d.iso3);
+  // countries without plants take their region from the full table; the
+  // exposure table's own region column wins for the countries it lists
+  regionByIso3 = new Map([
+    ...countryRegions,
+    ...countryRows.filter(d => d.region).map(d => [d.iso3, d.region])
+  ]);
+  const regionBreakdown = annual => (row, prevYear, popType) =>
+    grossChange(regionMembers(row.region), row.year, prevYear, row.buffer_km, popType, annual);
+  censusRegionIndex = indexExposure(
+    aggregateRegions(censusIndex.rows),
+    years,
+    1,
+    regionBreakdown(false)
+  );
+  annualRegionIndex = indexExposure(
+    aggregateRegions(annualIndex.rows),
+    annualYears,
+    10,
+    regionBreakdown(true)
+  );
+}
+
+// Lookups over one timeline's country rows: by key, by country, ranks per
+// (year, buffer) and the change against `lag` steps earlier on the timeline.
+function indexExposure(rows, yearList, lag, breakdown) {
+  const index = {
+    years: yearList,
+    rows,
+    byKey: new Map(), // `${iso3}_${year}_${buffer}` -> row
+    byCountry: d3.group(rows, d => d.iso3), // iso3 -> rows
+    rankByYearBuffer: new Map(), // `${year}_${buffer}` -> Map(iso3 -> rank)
+    deltaByKey: new Map(), // `${iso3}_${year}_${buffer}_${popType}` -> Δpop_near vs previous step
+    grossByKey: new Map(), // same key -> { gain, loss } summed over plants (loss as a positive count)
+    maxDeltaByBuffer: new Map(), // popType -> Map(buffer -> { net: max |Δ|, gain, loss })
+    previousYear(year) {
+      const i = yearList.indexOf(year);
+      return i - lag >= 0 ? yearList[i - lag] : null;
+    }
+  };
 
-  // Ranks per (year, buffer) by pct_near
-  years.forEach(year => {
+  rows.forEach(d => {
+    index.byKey.set(keyExposure(d.iso3, d.year, d.buffer_km), d);
+  });
+
+  // Ranks per (year, buffer) by pct_near, among countries with plants
+  yearList.forEach(year => {
     buffers.forEach(buffer => {
-      const subset = countryRows.filter(
-        d => d.year === year && d.buffer_km === buffer && d.pct_near != null
+      const subset = rows.filter(
+        d =>
+          d.year === year &&
+          d.buffer_km === buffer &&
+          d.pct_near != null &&
+          d.num_plants > 0
       );
       subset.sort((a, b) => d3.descending(a.pct_near, b.pct_near));
       const map = new Map();
       subset.forEach((d, i) => map.set(d.iso3, i + 1));
-      rankByYearBuffer.set(keyYearBuffer(year, buffer), map);
+      index.rankByYearBuffer.set(keyYearBuffer(year, buffer), map);
     });
   });
 
-  // NEW: precompute decade change in pop_near for Q1
-  deltaExposureByKey = new Map();
-  maxDeltaByBuffer = new Map();
+  // change in pop_near against the previous step (Q1), signed, with the
+  // gross gains and losses behind it when `breakdown` can split it by plant
+  popTypes.forEach(popType => {
+    const maxByBuffer = new Map();
+    index.maxDeltaByBuffer.set(popType, maxByBuffer);
 
-  const grouped = d3.group(countryRows, d => d.iso3, d => d.buffer_km);
-  grouped.forEach((byBuffer, iso3) => {
-    byBuffer.forEach((rows, buffer) => {
-      const sorted = rows.slice().sort((a, b) => d3.ascending(a.year, b.year));
-      let prev = null;
-      for (const r of sorted) {
-        if (!prev) {
-          // first snapshot has no "change" yet
-          deltaExposureByKey.set(keyExposure(iso3, r.year, buffer), null);
-        } else {
-          let delta = r.pop_near - prev.pop_near;
-          if (!isFinite(delta)) delta = null;
-          // focus on newly exposed people; drop decreases
-          if (delta != null && delta < 0) delta = 0;
-          deltaExposureByKey.set(keyExposure(iso3, r.year, buffer), delta);
-          if (delta != null) {
-            const old = maxDeltaByBuffer.get(buffer) || 0;
-            if (delta > old) maxDeltaByBuffer.set(buffer, delta);
-          }
-        }
-        prev = r;
+    rows.forEach(r => {
+      const key = keyDelta(r.iso3, r.year, r.buffer_km, popType);
+      const prevYear = index.previousYear(r.year);
+      const prev =
+        prevYear != null && index.byKey.get(keyExposure(r.iso3, prevYear, r.buffer_km));
+      if (!prev) {
+        // first snapshot has no "change" yet
+        index.deltaByKey.set(key, null);
+        return;
       }
+      let delta = popNear(r, popType) - popNear(prev, popType);
+      if (!isFinite(delta)) delta = null;
+      index.deltaByKey.set(key, delta);
+      if (delta == null) return;
+
+      const gross = breakdown?.(r, prevYear, popType) || {
+        gain: Math.max(delta, 0),
+        loss: Math.max(-delta, 0)
+      };
+      index.grossByKey.set(key, gross);
+
+      const max = maxByBuffer.get(r.buffer_km) || { net: 0, gain: 0, loss: 0 };
+      max.net = Math.max(max.net, Math.abs(delta));
+      max.gain = Math.max(max.gain, gross.gain);
+      max.loss = Math.max(max.loss, gross.loss);
+      maxByBuffer.set(r.buffer_km, max);
     });
   });
 
-  initMap();
-  initDetailChart();
-  initControls();
+  return index;
+}
+
+function exposureIndex() {
+  return state.timeline === "annual" ? annualIndex : censusIndex;
+}
+
+function regionIndex() {
+  return state.timeline === "annual" ? annualRegionIndex : censusRegionIndex;
+}
+
+// Regional rows: country rows summed per (region, year, buffer). The region
+// name sits in the iso3 and country slots so indexExposure() and the detail
+// panel can treat a region like a country.
+function aggregateRegions(rows) {
+  return d3
+    .flatRollup(
+      rows.filter(d => d.region),
+      group => {
+        const { region, year, buffer_km, source } = group[0];
+        const row = {
+          iso3: region,
+          country: region,
+          region,
+          year,
+          buffer_km,
+          num_plants: d3.sum(group, d => d.num_plants),
+          num_countries: group.filter(d => d.num_plants > 0).length,
+          source
+        };
+        popTypes.forEach(popType => {
+          row[popNearColumn[popType]] = d3.sum(group, d => d[popNearColumn[popType]]);
+        });
+        row.pop_total = d3.sum(group, d => d.pop_total);
+        row.pct_near = row.pop_total > 0 ? (row.pop_near / row.pop_total) * 100 : null;
+        return row;
+      },
+      d => d.region,
+      d => d.year,
+      d => d.buffer_km
+    )
+    .map(d => d[3]);
+}
+
+// What the map colours: regions in regional mode until one is drilled into,
+// countries otherwise (countries outside the drilled region are dimmed)
+function mapShowsRegions() {
+  return state.level === "region" && !state.selectedRegion;
+}
+
+function mapIndex() {
+  return mapShowsRegions() ? regionIndex() : exposureIndex();
+}
+
+function mapKey(iso3) {
+  if (!iso3) return null;
+  return mapShowsRegions() ? regionByIso3.get(iso3) || null : iso3;
+}
+
+function mapDimmed(iso3) {
+  return (
+    state.level === "region" &&
+    state.selectedRegion != null &&
+    regionByIso3.get(iso3) !== state.selectedRegion
+  );
+}
+
+// Where a year's population figures come from: a census snapshot, a linear
+// interpolation between two snapshots, or the nearest snapshot outside them.
+function censusSource(year) {
+  if (years.includes(year)) return { kind: "observed", years: [year] };
+  const before = d3.max(years.filter(y => y < year));
+  const after = d3.min(years.filter(y => y > year));
+  if (before != null && after != null) {
+    return { kind: "interpolated", years: [before, after], t: (year - before) / (after - before) };
+  }
+  return { kind: "nearest", years: [before ?? after] };
+}
+
+function censusSourceLabel(source) {
+  const [from, to] = source.years;
+  if (source.kind === "observed") return t("observed ({year} census)", { year: from });
+  if (source.kind === "interpolated") {
+    return t("interpolated between the {from} and {to} censuses", { from, to });
+  }
+  return t("held at the {year} census (no data for this year)", { year: from });
+}
+
+// value(year) at a census year, interpolated / held for any other year
+function censusValue(source, value) {
+  if (source.kind !== "interpolated") return value(source.years[0]);
+  const [a, b] = source.years.map(value);
+  if (a == null || b == null) return null;
+  return a + (b - a) * source.t;
+}
+
+// Reactor status in a given year from its construction, grid and shutdown dates
+function reactorStatusAt(reactor, year) {
+  const shutdownYear = reactor.shutdown?.getUTCFullYear();
+  const gridYear = reactor.grid_date?.getUTCFullYear();
+  const startYear = reactor.start_date?.getUTCFullYear();
+  if (shutdownYear != null && shutdownYear < year) return "shutdown";
+  if (gridYear != null && gridYear <= year) return "operational";
+  if (startYear != null && startYear <= year) return "construction";
+  return null; // not started yet
+}
+
+// A plant is online while any of its reactors is connected to the grid.
+// Plants without reactor records are always shown.
+function plantOnline(plant, year) {
+  const reactors = reactorsByPlant.get(plant.plant_id);
+  if (!reactors) return true;
+  return reactors.some(r => reactorStatusAt(r, year) === "operational");
+}
+
+// Annual country rows, summed over the plants online each year like
+// country_exposure_long.csv sums over all plants. Plant populations are
+// interpolated between censuses; pop_total follows the census rows.
+function buildAnnualRows() {
+  const rows = [];
+
+  plantsByIso3.forEach((plants, iso3) => {
+    const countryCensus = censusIndex.byCountry.get(iso3);
+    if (!countryCensus) return;
+    const { country, region } = countryCensus[0];
+
+    annualYears.forEach(year => {
+      const source = censusSource(year);
+      const online = plants.filter(p => plantOnline(p, year));
+
+      buffers.forEach(buffer => {
+        const row = {
+          iso3,
+          country,
+          region,
+          year,
+          buffer_km: buffer,
+          num_plants: online.length,
+          source
+        };
+        popTypes.forEach(popType => {
+          row[popNearColumn[popType]] = d3.sum(online, p =>
+            censusValue(source, y => p[plantPopKey(buffer, y, popType)])
+          );
+        });
+        row.pop_total = censusValue(
+          source,
+          y => censusIndex.byKey.get(keyExposure(iso3, y, buffer))?.pop_total
+        );
+        row.pct_near = row.pop_total > 0 ? (row.pop_near / row.pop_total) * 100 : null;
+        rows.push(row);
+      });
+    });
+  });
+
+  return rows;
+}
+
+// Plant-level change between two years, attributed to what caused it. On
+// the annual timeline plants enter and leave the rows as they come online
+// and close; census rows count every plant, so their changes are all
+// demographic and `closed` flags plants shut down in the interval.
+function plantChanges(
+  iso3s,
+  year,
+  prevYear,
+  buffer,
+  popType = state.popType,
+  annual = state.timeline === "annual"
+) {
+  const changes = [];
+  iso3s.forEach(iso3 => {
+    (plantsByIso3.get(iso3) || []).forEach(plant => {
+      const wasOnline = !annual || plantOnline(plant, prevYear);
+      const isOnline = !annual || plantOnline(plant, year);
+      if (!wasOnline && !isOnline) return;
+      const before = wasOnline ? plantPopulation(plant, prevYear, buffer, popType) || 0 : 0;
+      const after = isOnline ? plantPopulation(plant, year, buffer, popType) || 0 : 0;
+      changes.push({
+        plant,
+        before,
+        after,
+        change: after - before,
+        cause: !wasOnline ? "opening" : !isOnline ? "closure" : "population",
+        closed: !annual && plantShutDown(plant, year) && !plantShutDown(plant, prevYear)
+      });
+    });
+  });
+  return changes;
+}
+
+// all of a plant's reactors shut down by `year`; plants without reactor
+// records never count as shut down
+function plantShutDown(plant, year) {
+  const reactors = reactorsByPlant.get(plant.plant_id);
+  return !!reactors && reactors.every(r => reactorStatusAt(r, year) === "shutdown");
+}
+
+// gross gains and losses (as a positive count) over the countries' plants
+function grossChange(iso3s, year, prevYear, buffer, popType, annual) {
+  if (!iso3s.some(iso3 => plantsByIso3.has(iso3))) return null;
+  const changes = plantChanges(iso3s, year, prevYear, buffer, popType, annual);
+  return {
+    gain: d3.sum(changes, d => Math.max(d.change, 0)),
+    loss: d3.sum(changes, d => Math.max(-d.change, 0))
+  };
+}
+
+// countries with plants in a region
+function regionMembers(region) {
+  return Array.from(plantsByIso3.keys()).filter(iso3 => regionByIso3.get(iso3) === region);
+}
+
+// Overlap-aware counts. Country rows add up each plant's buffer population,
+// so people near several plants are counted once per plant. To count them
+// once, each plant's population is split between the plants whose buffers
+// cover it, assuming people are spread evenly within a buffer; the split is
+// measured on sample points spread over the buffer disc.
+const earthRadiusKm = 6371;
+const overlapSamples = 64;
+const overlapCache = new Map(); // `${buffer}|${plant ids}` -> Map(plant_id -> overlap)
+
+function plantPopulation(plant, year, buffer, popType = state.popType) {
+  return censusValue(censusSource(year), y => plant[plantPopKey(buffer, y, popType)]);
+}
+
+// plants counted in a country's row for that year
+function countryPlants(iso3, year) {
+  const plants = plantsByIso3.get(iso3) || [];
+  return state.timeline === "annual" ? plants.filter(p => plantOnline(p, year)) : plants;
+}
+
+// evenly spread points over a plant's buffer disc (sunflower pattern)
+function bufferSamples(plant, buffer) {
+  const radians = Math.PI / 180;
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  const phi1 = plant.lat * radians;
+  const lambda1 = plant.lon * radians;
+  return d3.range(overlapSamples).map(j => {
+    const delta = (buffer / earthRadiusKm) * Math.sqrt((j + 0.5) / overlapSamples);
+    const bearing = j * golden;
+    const phi2 = Math.asin(
+      Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(bearing)
+    );
+    const lambda2 =
+      lambda1 +
+      Math.atan2(
+        Math.sin(bearing) * Math.sin(delta) * Math.cos(phi1),
+        Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+      );
+    return [lambda2 / radians, phi2 / radians];
+  });
+}
+
+// For each plant: `share` of its population that is its own once overlaps
+// are split (1 = no overlap), `covered` share also within another plant's
+// buffer, and how many `neighbours` its buffer overlaps.
+function overlapShares(plants, buffer) {
+  const key = `${buffer}|${plants.map(p => p.plant_id).join(",")}`;
+  if (overlapCache.has(key)) return overlapCache.get(key);
+
+  const radius = buffer / earthRadiusKm;
+  const shares = new Map();
+  plants.forEach(p => {
+    const neighbours = plants.filter(
+      q => q !== p && d3.geoDistance([p.lon, p.lat], [q.lon, q.lat]) < 2 * radius
+    );
+    if (!neighbours.length) {
+      shares.set(p.plant_id, { share: 1, covered: 0, neighbours: 0 });
+      return;
+    }
+    const counts = bufferSamples(p, buffer).map(
+      s => 1 + neighbours.filter(q => d3.geoDistance(s, [q.lon, q.lat]) <= radius).length
+    );
+    shares.set(p.plant_id, {
+      share: d3.mean(counts, k => 1 / k),
+      covered: counts.filter(k => k > 1).length / counts.length,
+      neighbours: neighbours.length
+    });
+  });
+  overlapCache.set(key, shares);
+  return shares;
+}
+
+// Summed and unique people near a country's plants; `ratio` scales the
+// country row's pop_near to its unique figure.
+function countryOverlap(iso3, year, buffer, popType = state.popType) {
+  const plants = countryPlants(iso3, year);
+  const shares = overlapShares(plants, buffer);
+  let summed = 0;
+  let unique = 0;
+  plants.forEach(p => {
+    const pop = plantPopulation(p, year, buffer, popType);
+    if (pop == null) return;
+    summed += pop;
+    unique += pop * shares.get(p.plant_id).share;
+  });
+  if (!(summed > 0)) return null;
+  return { ratio: unique / summed, overlapping: plants.filter(p => shares.get(p.plant_id).share < 1).length };
+}
+
+// people near plants counted once, from a country row
+function uniquePopNear(row, popType = state.popType) {
+  const pop = popNear(row, popType);
+  if (pop == null) return null;
+  const overlap = countryOverlap(row.iso3, row.year, row.buffer_km, popType);
+  return overlap ? pop * overlap.ratio : pop;
+}
+
+// Overlap map mode: semi-transparent buffer discs of the plants whose
+// buffers overlap, so shared areas show up darker
+function renderOverlapDiscs() {
+  overlapG.selectAll("*").remove();
+  if (!state.showOverlap) return;
+
+  const geoPath = mapG.node().__path__;
+  const circle = d3.geoCircle().radius((state.buffer / earthRadiusKm) * (180 / Math.PI));
+  const plants = Array.from(plantsByIso3.keys()).flatMap(iso3 => {
+    const set = countryPlants(iso3, state.year);
+    const shares = overlapShares(set, state.buffer);
+    return set.filter(p => shares.get(p.plant_id).neighbours > 0);
+  });
+
+  overlapG
+    .selectAll("path.overlap-disc")
+    .data(plants, d => d.plant_id)
+    .join("path")
+    .attr("class", "overlap-disc")
+    .attr("d", d => geoPath(circle.center([d.lon, d.lat])()))
+    .attr("fill", "rgba(84, 39, 143, 0.18)")
+    .attr("stroke", "rgba(84, 39, 143, 0.5)")
+    .attr("stroke-width", 0.4)
+    .attr("pointer-events", "none");
+}
+
+// Map projections. Conic projections are set up for the region in their
+// name and default to framing it; the orthographic globe rotates by drag.
+const mapProjections = {
+  natural: { label: "Natural Earth", create: () => d3.geoNaturalEarth1() },
+  equal_area: { label: "Equal Earth (equal-area)", create: () => d3.geoEqualEarth() },
+  orthographic: { label: "Globe", create: () => d3.geoOrthographic(), globe: true },
+  conic_europe: {
+    label: "Conic, Europe",
+    create: () => d3.geoConicEqualArea().parallels([43, 62]).rotate([-10, 0]),
+    fit: "europe"
+  },
+  conic_north_america: {
+    label: "Conic, North America",
+    create: () => d3.geoConicEqualArea().parallels([29.5, 45.5]).rotate([96, 0]),
+    fit: "north_america"
+  }
+};
+
+// preset views: the projection is fitted to the region's bounding box
+// ([[west, south], [east, north]]) so it fills the map before any zoom
+const mapFits = {
+  world: { label: "Whole world" },
+  europe: { label: "Europe", bounds: [[-11, 35], [40, 66]] },
+  north_america: { label: "North America", bounds: [[-125, 18], [-65, 56]] },
+  east_asia: { label: "East Asia", bounds: [[100, 18], [145, 46]] },
+  south_asia: { label: "South Asia", bounds: [[60, 5], [95, 36]] }
+};
+
+function globeProjection() {
+  return !!mapProjections[state.projection].globe;
+}
+
+// GeoJSON to fit: the world, or points along the edges of the preset's box
+// (points, so the fit doesn't depend on polygon winding)
+function fitTarget(fit) {
+  const { bounds } = mapFits[fit];
+  if (!bounds) return world;
+  const [[x0, y0], [x1, y1]] = bounds;
+  const steps = d3.range(0, 1.0001, 0.25);
+  return {
+    type: "MultiPoint",
+    coordinates: steps.flatMap(t => [
+      [x0 + (x1 - x0) * t, y0],
+      [x0 + (x1 - x0) * t, y1],
+      [x0, y0 + (y1 - y0) * t],
+      [x1, y0 + (y1 - y0) * t]
+    ])
+  };
+}
+
+// Build the projection for the current state and redraw the country shapes
+function setProjection() {
+  const projection = mapProjections[state.projection].create();
+  if (globeProjection()) projection.rotate(state.rotate);
+  projection.fitExtent(
+    [
+      [4, 4],
+      [mapWidth - 4, mapHeight - 4]
+    ],
+    fitTarget(state.fit)
+  );
+
+  mapG.node().__projection__ = projection;
+  mapG.node().__path__ = d3.geoPath().projection(projection);
+  reprojectShapes();
+}
+
+// centre the globe on a preset's region
+function globeRotation(fit) {
+  const { bounds } = mapFits[fit];
+  if (!bounds) return [0, -20];
+  const [[x0, y0], [x1, y1]] = bounds;
+  return [-(x0 + x1) / 2, -(y0 + y1) / 2];
+}
+
+function reprojectShapes() {
+  const geoPath = mapG.node().__path__;
+  [mapG, splitG].forEach(g => {
+    g.node().__countryPaths__?.attr("d", geoPath);
+  });
+  countriesG
+    .select("path.sphere")
+    .attr("d", geoPath)
+    .attr("fill", "#f4f8fb")
+    .attr("stroke", "#bbb")
+    .attr("stroke-width", 0.5)
+    .style("display", globeProjection() ? null : "none");
+  drawDetailCanvas();
+}
+
+// Level of detail: world.geojson up to `detailZoom`, then the Natural Earth
+// 1:10m boundaries (data/world_detail.geojson, written by Explore.ipynb),
+// fetched the first time they are needed. Zoomed in, each map paints its
+// countries on a canvas under the SVG layers, redrawn on every zoom step:
+// the SVG country paths stay in place, invisible, for hit testing and
+// keyboard focus, and the canvas copies their computed fill and stroke.
+const detailZoom = 2;
+const detailUrl = "./data/world_detail.geojson";
+const mapDetail = { status: "idle", byId: new Map() }; // idle | loading | ready | unavailable
+
+// one canvas per map, under its map-root group
+const detailCanvases = [mapSvg, splitSvg].map(svg =>
+  svg
+    .insert("foreignObject", ".map-root")
+    .attr("class", "detail-layer")
+    .attr("width", mapWidth)
+    .attr("height", mapHeight)
+    .style("display", "none")
+    .append("xhtml:canvas")
+    .node()
+);
+
+// repaint when a country's fill or stroke changes (map updates, hover,
+// selection, story highlights), when keyboard focus moves between countries
+// and when the page is resized
+const detailObserver = new MutationObserver(() => {
+  if (mapSvg.classed("detail-canvas")) scheduleDetailCanvas();
+});
+[countriesG, splitCountriesG].forEach(g => {
+  detailObserver.observe(g.node(), {
+    subtree: true,
+    attributes: true,
+    attributeFilter: ["fill", "fill-opacity", "stroke", "stroke-width", "class"]
+  });
+  g.on("focusin.detail focusout.detail", () => {
+    if (mapSvg.classed("detail-canvas")) scheduleDetailCanvas();
+  });
+});
+window.addEventListener("resize", () => {
+  if (mapSvg.classed("detail-canvas")) scheduleDetailCanvas();
+});
+
+async function loadMapDetail() {
+  mapDetail.status = "loading";
+  try {
+    const detail = await d3.json(detailUrl);
+    // keyed by world.geojson's feature ids, which the notebook reuses
+    mapDetail.byId = new Map(detail.features.map(f => [f.id, f]));
+    mapDetail.status = "ready";
+    drawDetailCanvas();
+  } catch (error) {
+    // the map keeps the world.geojson shapes
+    mapDetail.status = "unavailable";
+  }
+}
+
+// repaint at the next frame, after a fill, stroke or focus change
+let detailFrame = null;
+function scheduleDetailCanvas() {
+  if (detailFrame == null) {
+    detailFrame = requestAnimationFrame(() => {
+      detailFrame = null;
+      drawDetailCanvas();
+    });
+  }
+}
+
+function drawDetailCanvas() {
+  const { k } = d3.zoomTransform(mapSvg.node());
+  if (k >= detailZoom && mapDetail.status === "idle") loadMapDetail();
+  const detailed = k >= detailZoom && mapDetail.status === "ready";
+
+  [mapSvg, splitSvg].forEach((svg, i) => {
+    const canvas = detailCanvases[i];
+    const context = detailed && (i === 0 || state.split) ? canvas.getContext("2d") : null;
+    svg.classed("detail-canvas", !!context);
+    d3.select(canvas.parentNode).style("display", context ? null : "none");
+    if (context) paintCountries(svg, canvas, context);
+  });
+}
+
+// the sphere and country paths of `svg`, with detailed shapes for the
+// countries in view, thinned to half a canvas pixel
+function paintCountries(svg, canvas, context) {
+  const { k, x, y } = d3.zoomTransform(svg.node());
+  const ratio = ((window.devicePixelRatio || 1) * (svg.node().getBoundingClientRect().width || mapWidth)) / mapWidth;
+  if (canvas.width !== Math.round(mapWidth * ratio)) {
+    canvas.width = Math.round(mapWidth * ratio);
+    canvas.height = Math.round(mapHeight * ratio);
+  }
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, mapWidth, mapHeight);
+  context.setTransform(ratio * k, 0, 0, ratio * k, ratio * x, ratio * y);
+
+  const projection = mapG.node().__projection__;
+  const geoPath = mapG.node().__path__;
+  const coarsePath = d3.geoPath(projection, context);
+  const detailPath = thinnedPath(projection, 0.5 / (k * ratio), context);
+  // the visible area in untransformed map coordinates
+  const [x0, y0, x1, y1] = [-x / k, -y / k, (mapWidth - x) / k, (mapHeight - y) / k];
+
+  svg.selectAll("g.countries path").each(function (d) {
+    const style = getComputedStyle(this);
+    if (style.display === "none") return;
+    const [[bx0, by0], [bx1, by1]] = geoPath.bounds(d);
+    if (bx1 < x0 || bx0 > x1 || by1 < y0 || by0 > y1) return;
+
+    context.beginPath();
+    const detail = mapDetail.byId.get(d.id);
+    if (detail) detailPath(detail);
+    else coarsePath(d);
+    if (style.fill !== "none") {
+      context.globalAlpha = +style.fillOpacity;
+      context.fillStyle = style.fill;
+      context.fill();
+    }
+    if (style.stroke !== "none") {
+      context.globalAlpha = +style.strokeOpacity;
+      context.strokeStyle = style.stroke;
+      context.lineWidth = parseFloat(style.strokeWidth) / (style.vectorEffect === "non-scaling-stroke" ? k : 1);
+      context.stroke();
+    }
+  });
+  context.globalAlpha = 1;
+}
+
+// geoPath through `projection` that drops points closer than `tolerance`
+// (projected units) to the last point kept on each line or ring
+function thinnedPath(projection, tolerance, context) {
+  return d3.geoPath(
+    {
+      stream: output => {
+        let last = null;
+        let skipped = null;
+        return projection.stream({
+          point(x, y) {
+            if (last && Math.hypot(x - last[0], y - last[1]) < tolerance) {
+              skipped = [x, y];
+              return;
+            }
+            last = [x, y];
+            skipped = null;
+            output.point(x, y);
+          },
+          lineStart() {
+            last = skipped = null;
+            output.lineStart();
+          },
+          lineEnd() {
+            if (skipped) output.point(...skipped);
+            output.lineEnd();
+          },
+          polygonStart: () => output.polygonStart(),
+          polygonEnd: () => output.polygonEnd(),
+          sphere: () => output.sphere?.()
+        });
+      }
+    },
+    context
+  );
+}
+
+// redraw everything that depends on the projection (while rotating the globe)
+function reproject() {
+  reprojectShapes();
+  renderOverlapDiscs();
+  renderPlantRings();
+  renderPlants();
+  renderReactors();
+  renderWhatif();
+}
+
+// New projection or preset view: the old zoom no longer matches the map
+function changeMapView() {
+  if (globeProjection()) state.rotate = globeRotation(state.fit);
+  fitSelect.property("value", state.fit);
+  setProjection();
+  mapSvg.call(mapG.node().__zoomBehavior__.transform, d3.zoomIdentity);
   renderAll();
 }
 
+// hidden side of the globe
+function pointVisible(lon, lat) {
+  if (!globeProjection()) return true;
+  const [lambda, phi] = mapG.node().__projection__.rotate();
+  return d3.geoDistance([lon, lat], [-lambda, -phi]) < Math.PI / 2;
+}
+
+// set while one map's zoom is copied to the other, see initMap()
+let syncingZoom = false;
+
 function initMap() {
-  const projection = d3.geoNaturalEarth1().fitSize([mapWidth, mapHeight], world);
-  const geoPath = d3.geoPath().projection(projection);
+  // globe outline, shown for the orthographic projection
+  countriesG.append("path").attr("class", "sphere").datum({ type: "Sphere" });
 
-  mapG.node().__projection__ = projection;
-  mapG.node().__path__ = geoPath;
+  setProjection();
+  const geoPath = mapG.node().__path__;
 
   const countryPaths = countriesG
     .selectAll("path.country")
@@ -218,54 +1179,106 @@ function initMap() {
     .attr("stroke-width", 0.3)
     .attr("fill", "#eee")
     .on("mousemove", (event, d) => {
-      const iso3 = featureIso3(d);
-      const row =
-        iso3 && exposureByKey.get(keyExposure(iso3, state.year, state.buffer));
-      const pct = row?.pct_near;
-      const popNear = row?.pop_near;
+      if (state.split) {
+        showSplitTooltip(event, d);
+        return;
+      }
+      const key = mapKey(featureIso3(d));
+      const ix = mapIndex();
+      const row = key && ix.byKey.get(keyExposure(key, state.year, state.buffer));
+      const pct = pctNear(row);
+      const pop = popNear(row);
       const numPlants = row?.num_plants;
-      const delta =
-        iso3 &&
-        deltaExposureByKey.get(keyExposure(iso3, state.year, state.buffer));
-      const name =
-        d.properties?.name ||
-        d.properties?.ADMIN ||
-        d.properties?.NAME ||
-        "Unknown";
+      const delta = key && ix.deltaByKey.get(keyDelta(key, state.year, state.buffer));
+      const prevYear = ix.previousYear(state.year);
+      const noun = t(popTypeNoun());
+      const name = mapShowsRegions() ? key || t("No region data") : featureName(d);
+      const distance = formatDistance(state.buffer);
 
       const lines = [];
-      lines.push(`<strong>${name}</strong>`);
+      lines.push(`<strong>${escapeHtml(name)}</strong>`);
 
-      if (state.year === 1990) {
-        lines.push(`Baseline exposure in 1990, within ${state.buffer} km`);
+      if (prevYear == null) {
+        lines.push(t("Baseline exposure in {year}, within {distance}", { year: state.year, distance }));
       } else {
-        const prevYear = state.year - 10;
-        lines.push(`New exposure ${prevYear}–${state.year}, within ${state.buffer} km`);
+        lines.push(
+          t("Change {from}–{to}, within {distance}", { from: prevYear, to: state.year, distance })
+        );
       }
 
-      if (pct == null || popNear == null) {
-        lines.push("No exposure data");
+      if (pct == null || pop == null) {
+        lines.push(t("No exposure data"));
       } else {
         lines.push(
-          `People near plants in ${state.year}: ${(popNear / 1e6).toFixed(2)}M`
+          t("{noun} near plants in {year}: {people}", {
+            noun: capitalize(noun),
+            year: state.year,
+            people: formatPeople(pop)
+          })
         );
-        lines.push(`Share of population: ${pct.toFixed(1)}%`);
+        lines.push(t("Share of population: {share}", { share: formatPct(pct) }));
+        if (!mapShowsRegions()) {
+          const unique = uniquePopNear(row);
+          lines.push(
+            unique < pop * 0.999
+              ? t("Counted once: {unique} (summed over plants: {summed})", {
+                  unique: formatPeople(unique),
+                  summed: formatPeople(pop)
+                })
+              : t("No overlapping plant buffers")
+          );
+        }
+        if (state.popType === "total" && row.pop_near_urban != null && pop > 0) {
+          const urbanShare = (row.pop_near_urban / pop) * 100;
+          lines.push(
+            t("Urban / rural: {urban} / {rural}", {
+              urban: formatPct(urbanShare),
+              rural: formatPct(100 - urbanShare)
+            })
+          );
+        }
       }
 
-      if (state.year !== 1990 && delta != null) {
+      if (prevYear != null && delta != null) {
         if (delta > 0) {
+          lines.push(t("Increase since {year}: {people}", { year: prevYear, people: formatSignedPeople(delta) }));
+        } else if (delta < 0) {
+          lines.push(t("Decrease since {year}: {people}", { year: prevYear, people: formatPeople(delta) }));
+        } else {
+          lines.push(t("No change in {noun} near plants since {year}", { noun, year: prevYear }));
+        }
+        const gross = ix.grossByKey.get(keyDelta(key, state.year, state.buffer));
+        if (gross && (gross.gain > 0 || gross.loss > 0)) {
           lines.push(
-            `Newly exposed since ${state.year - 10}: ${(delta / 1e6).toFixed(
-              2
-            )}M`
+            t("Gains / losses across plants: {gain} / {loss}", {
+              gain: formatSignedPeople(gross.gain),
+              loss: formatPeople(-gross.loss)
+            })
           );
-        } else {
-          lines.push(`No newly exposed people in this decade`);
         }
       }
 
+      const metricKey = activeMetric(prevYear);
+      if (row && ["pct_change", "per_plant", "per_reactor"].includes(metricKey)) {
+        const metric = mapMetrics[metricKey];
+        const value = metric.value(row, ix, prevYear);
+        if (value != null) lines.push(`${t(metric.label)}: ${metric.format(value)}`);
+      }
+
       if (numPlants != null) {
-        lines.push(`# of plants: ${numPlants}`);
+        lines.push(
+          state.timeline === "annual"
+            ? t("# of plants operating: {count}", { count: numPlants })
+            : t("# of plants: {count}", { count: numPlants })
+        );
+      }
+
+      if (row?.num_countries != null) {
+        lines.push(t("Countries with plants: {count}", { count: row.num_countries }));
+      }
+
+      if (row?.source) {
+        lines.push(`<em>${t("Population {source}", { source: censusSourceLabel(row.source) })}</em>`);
       }
 
       tooltip
@@ -277,65 +1290,265 @@ function initMap() {
     .on("mouseout", () => {
       tooltip.style("display", "none");
     })
-    .on("click", (event, d) => {
-      const iso3 = featureIso3(d);
-      if (!iso3) return;
-      state.selectedIso3 = iso3;
-      renderAll();
-    });
+    .on("click", countryClick);
 
   mapG.node().__countryPaths__ = countryPaths;
+  countryNav("countries", countryPaths);
 
   // zoom
-  const zoom = d3.zoom().scaleExtent([1, 6]).on("zoom", event => {
-    mapG.attr("transform", event.transform);
-  });
+  const zoom = d3
+    .zoom()
+    .extent([
+      [0, 0],
+      [mapWidth, mapHeight]
+    ])
+    .scaleExtent([1, 6])
+    // on the globe, dragging rotates it instead of panning
+    .filter(
+      event =>
+        (!event.ctrlKey || event.type === "wheel") &&
+        !event.button &&
+        (!globeProjection() || event.type === "wheel" || event.type === "dblclick")
+    )
+    .on("zoom", function (event) {
+      if (syncingZoom) return;
+      // both maps share one transform; the other map's zoom state follows so
+      // the next gesture there starts from the same view
+      mapG.attr("transform", event.transform);
+      splitG.attr("transform", event.transform);
+      resizePlants(event.transform.k);
+      resizeReactors(event.transform.k);
+      syncingZoom = true;
+      (this === splitSvg.node() ? mapSvg : splitSvg).call(zoom.transform, event.transform);
+      syncingZoom = false;
+      drawDetailCanvas();
+    })
+    .on("end", () => updateUrl());
 
+  mapG.node().__zoomBehavior__ = zoom;
   mapSvg.call(zoom);
+  splitSvg.call(zoom);
+
+  // drag to rotate the globe, slower when zoomed in
+  const drag = d3
+    .drag()
+    .filter(event => globeProjection() && !event.button && !state.placing)
+    .on("drag", event => {
+      const projection = mapG.node().__projection__;
+      const degrees = 180 / Math.PI / (projection.scale() * d3.zoomTransform(mapSvg.node()).k);
+      const [lambda, phi] = state.rotate;
+      state.rotate = [lambda + event.dx * degrees, Math.max(-90, Math.min(90, phi - event.dy * degrees))];
+      projection.rotate(state.rotate);
+      reproject();
+    })
+    .on("end", () => updateUrl());
+  mapSvg.call(drag);
+  splitSvg.call(drag);
 }
 
-function initDetailChart() {
-  // legend for buffers
-  const legend = detailSvg
-    .append("g")
-    .attr("class", "buffer-legend")
-    .attr("transform", "translate(60,15)");
+// Arrow keys go by each country's main landmass, not overseas territories;
+// positions follow the current projection
+function countryNav(name, countryPaths) {
+  const landmasses = new Map(
+    world.features.map(f => {
+      const { type, coordinates } = f.geometry || {};
+      const main =
+        type === "MultiPolygon"
+          ? { type: "Polygon", coordinates: d3.greatest(coordinates, c => d3.geoArea({ type: "Polygon", coordinates: c })) }
+          : f;
+      return [f, main];
+    })
+  );
+  keyboardNav(name, countryPaths, {
+    key: d => d,
+    position: d => mapG.node().__path__.centroid(landmasses.get(d)),
+    label: d => featureName(d),
+    role: "button",
+    selected: () => `${detailTitle.text()}. ${detailSummary.text()}`
+  });
+}
 
-  const legendItem = legend
-    .selectAll("g.item")
-    .data(buffers)
+function countryClick(event, d) {
+  if (state.placing) {
+    placeHypotheticalPlant(event, d);
+    return;
+  }
+  const iso3 = featureIso3(d);
+  if (!iso3) return;
+  // regional mode: a click outside the drilled region drills into its region
+  const region = regionByIso3.get(iso3);
+  if (state.level === "region" && region !== state.selectedRegion) {
+    if (region) drillIntoRegion(region);
+    return;
+  }
+  if (event.shiftKey) {
+    toggleComparison(iso3);
+  } else {
+    setSelection([iso3]);
+  }
+  renderAll();
+}
+
+// selected country first, then the ones added for comparison
+function selectedCountries() {
+  return [state.selectedIso3, ...state.compareIso3s].filter(Boolean);
+}
+
+function setSelection(iso3s) {
+  state.selectedIso3 = iso3s[0] || null;
+  state.compareIso3s = iso3s.slice(1, maxCompare);
+}
+
+// shift-click: add a country to the comparison, or drop it if it's already in
+function toggleComparison(iso3) {
+  const selected = selectedCountries();
+  if (selected.includes(iso3)) {
+    setSelection(selected.filter(d => d !== iso3));
+  } else if (selected.length < maxCompare) {
+    setSelection([...selected, iso3]);
+  }
+}
+
+function initDetailChart() {
+  // legend for buffers
+  detailSvg
+    .append("g")
+    .attr("class", "buffer-legend")
+    .attr("transform", `translate(${detailMargin.left},12)`);
+
+  // country key, shown instead of the buffer legend when comparing
+  detailSvg
+    .append("g")
+    .attr("class", "country-legend")
+    .attr("transform", `translate(${detailMargin.left},12)`)
+    .style("display", "none");
+
+  // shading key for the stacked urban / rural segments
+  const partLegend = detailSvg
+    .append("g")
+    .attr("class", "part-legend")
+    .attr("transform", `translate(${detailMargin.left},27)`);
+
+  const partItem = partLegend
+    .selectAll("g.item")
+    .data(["urban", "rural"])
     .join("g")
     .attr("class", "item")
-    .attr("transform", (d, i) => `translate(${i * 100},0)`);
+    .attr("transform", (d, i) => `translate(${i * 70},0)`);
 
-  legendItem
+  partItem
     .append("rect")
     .attr("x", 0)
     .attr("y", -6)
     .attr("width", 16)
-    .attr("height", 8)
-    .attr("fill", d => colorBuffer(d));
+    .attr("height", 8);
 
-  legendItem
+  partItem
     .append("text")
     .attr("x", 22)
     .attr("y", 1)
     .attr("font-size", 11)
-    .text(d => `${d} km`);
+    .attr("data-i18n", "")
+    .text(d => (d === "urban" ? "Urban" : "Rural"));
+
+  renderBufferLegend();
 }
 
-function initControls() {
+// buffer swatches, redrawn when a dataset brings other buffers
+function renderBufferLegend() {
+  const itemWidth = Math.min(100, innerDetailWidth / buffers.length);
+
+  const legendItem = detailSvg
+    .select(".buffer-legend")
+    .selectAll("g.item")
+    .data(buffers)
+    .join(enter => {
+      const g = enter.append("g").attr("class", "item");
+      g.append("rect").attr("x", 0).attr("y", -6).attr("width", 16).attr("height", 8);
+      g.append("text").attr("x", 22).attr("y", 1).attr("font-size", 11);
+      return g;
+    })
+    .attr("transform", (d, i) => `translate(${i * itemWidth},0)`);
+
+  legendItem.select("rect").attr("fill", d => colorBuffer(d));
+  legendItem.select("text").text(d => formatDistance(d));
+
+  detailSvg.selectAll(".part-legend rect").attr("fill", d => partColor(buffers[0], d));
+}
+
+// options built from the data and the metric tables, relabelled when the
+// buffers, locale or units change
+function labelControls() {
+  [bufferSelect, splitBufferSelect].forEach(select =>
+    select
+      .selectAll("option")
+      .data(buffers)
+      .join("option")
+      .attr("value", d => d)
+      .text(d => formatDistance(d))
+  );
+  metricSelect
+    .selectAll("option.metric")
+    .data(Object.entries(mapMetrics))
+    .join("option")
+    .attr("class", "metric")
+    .attr("value", ([key]) => key)
+    .text(([, metric]) => t(metric.label));
+  [
+    [changeModeSelect, changeModes],
+    [projectionSelect, mapProjections],
+    [fitSelect, mapFits]
+  ].forEach(([select, options]) =>
+    select
+      .selectAll("option")
+      .data(Object.entries(options))
+      .join("option")
+      .attr("value", ([key]) => key)
+      .text(([, option]) => t(option.label))
+  );
+  localeSelect
+    .selectAll("option")
+    .data(Object.entries(localeNames))
+    .join("option")
+    .attr("value", ([code]) => code)
+    .text(([, name]) => name);
+  unitsSelect.property("value", state.units);
+  localeSelect.property("value", state.locale);
+  renderBufferLegend();
+}
+
+// buffer colour, lightened for the rural part of a bar
+function partColor(buffer, part) {
+  const base = colorBuffer(buffer);
+  return part === "rural" ? d3.interpolateRgb(base, "#fff")(0.55) : base;
+}
+
+// snap to the nearest census snapshot
+function nearestCensusYear(year) {
+  return years.reduce((a, b) => (Math.abs(b - year) < Math.abs(a - year) ? b : a));
+}
+
+// slider range follows the active timeline
+// the slider steps through the timeline's years by index, so uneven gaps
+// between census years still give one stop per year in the data
+function syncYearSlider() {
+  const timelineYears = exposureIndex().years;
   yearSlider
-    .attr("min", d3.min(years))
-    .attr("max", d3.max(years))
-    .attr("step", 10)
-    .property("value", state.year);
+    .attr("min", 0)
+    .attr("max", timelineYears.length - 1)
+    .attr("step", 1)
+    .attr("aria-valuetext", state.year)
+    .property("value", timelineYears.indexOf(state.year));
 
   yearLabel.text(state.year);
+}
+
+function initControls() {
+  syncYearSlider();
 
   yearSlider.on("input", () => {
-    state.year = +yearSlider.property("value");
-    yearLabel.text(state.year);
+    state.year = exposureIndex().years[+yearSlider.property("value")];
+    syncYearSlider();
     renderAll();
   });
 
@@ -346,11 +1559,106 @@ function initControls() {
       renderAll();
     });
 
+  popTypeSelect
+    .property("value", state.popType)
+    .on("change", () => {
+      state.popType = popTypeSelect.property("value");
+      renderAll();
+    });
+
+  localeSelect.on("change", () => changeLocale(localeSelect.property("value")));
+  unitsSelect.on("change", () => {
+    state.units = unitsSelect.property("value");
+    labelControls();
+    renderAll();
+  });
+
+  labelControls();
+
+  metricSelect.property("value", state.metric).on("change", () => {
+    state.metric = metricSelect.property("value");
+    renderAll();
+  });
+
+  changeModeSelect.property("value", state.changeMode).on("change", () => {
+    state.changeMode = changeModeSelect.property("value");
+    renderAll();
+  });
+
+  classifySelect.property("value", state.classification).on("change", () => {
+    state.classification = classifySelect.property("value");
+    renderAll();
+  });
+
+  projectionSelect.property("value", state.projection).on("change", () => {
+    state.projection = projectionSelect.property("value");
+    const { fit } = mapProjections[state.projection];
+    if (fit) state.fit = fit;
+    changeMapView();
+  });
+
+  fitSelect.property("value", state.fit).on("change", () => {
+    state.fit = fitSelect.property("value");
+    changeMapView();
+  });
+
+  toggleOverlap.on("change", () => {
+    state.showOverlap = toggleOverlap.property("checked");
+    renderAll();
+  });
+
+  levelSelect.on("change", () => {
+    state.level = levelSelect.property("value");
+    if (state.selectedRegion) {
+      leaveRegion();
+    } else {
+      setSelection([]);
+      renderAll();
+    }
+  });
+
+  regionBackBtn.on("click", leaveRegion);
+
   togglePlants.on("change", () => {
     state.showPlants = togglePlants.property("checked");
     renderPlants();
+    updateUrl();
   });
 
+  toggleReactors.on("change", () => {
+    state.showReactors = toggleReactors.property("checked");
+    renderReactors();
+    updateUrl();
+  });
+
+  reactorStatusInputs
+    .property("checked", function () {
+      return state.reactorStatuses.includes(this.value);
+    })
+    .on("change", () => {
+      state.reactorStatuses = reactorStatusInputs
+        .filter(function () {
+          return this.checked;
+        })
+        .nodes()
+        .map(n => n.value);
+      renderReactors();
+      updateUrl();
+    });
+
+  toggleAnnual
+    .property("checked", state.timeline === "annual")
+    .on("change", () => {
+      state.timeline = toggleAnnual.property("checked") ? "annual" : "census";
+      if (state.timeline === "census") state.year = nearestCensusYear(state.year);
+      syncYearSlider();
+      if (state.playing) {
+        stopPlayback();
+        startPlayback();
+      }
+      renderAll();
+    });
+
   playBtn.on("click", () => {
     if (state.playing) {
       stopPlayback();
@@ -362,294 +1670,1014 @@ function initControls() {
 
 function renderAll() {
   renderMapFills();
+  renderOverlapDiscs();
+  renderPlantRings();
   renderPlants();
+  renderReactors();
+  renderWhatif();
   renderDetail();
+  renderPlantTable();
+  renderPlantProfile();
+  renderStory();
+  updateUrl();
 }
 
 // Choropleth fills & legend
 function renderMapFills() {
   const countryPaths = mapG.node().__countryPaths__;
   if (!countryPaths) return;
+  syncSplitYear();
 
-  if (state.year === 1990) {
-    // baseline exposure map
-    const subset = countryRows.filter(
-      d =>
-        d.year === 1990 &&
-        d.buffer_km === state.buffer &&
-        d.pct_near != null
-    );
-    const maxPct = d3.max(subset, d => d.pct_near) || 1;
+  const ix = mapIndex();
+  const prevYear = ix.previousYear(state.year);
+  const scope = mapShowsRegions() ? "regions" : state.level === "region" ? "region" : "map";
+  // the split map's paths are coloured with the same scale as the main map
+  const views = mapViews();
+  const viewPaths = [countryPaths, splitG.node().__countryPaths__].slice(0, views.length);
 
-    const color = d3
-      .scaleSequential()
-      .domain([0, maxPct])
-      .interpolator(d3.interpolateYlOrRd);
+  viewPaths.forEach(paths => paths.attr("fill-opacity", d => (mapDimmed(featureIso3(d)) ? 0.3 : 1)));
+  changeModeSelect.style(
+    "display",
+    activeMetric(prevYear) === "change" && !(state.showOverlap && !mapShowsRegions()) ? null : "none"
+  );
 
-    countryPaths
+  const { color, values, fill } = mapColouring(ix, views);
+  mapG.node().__viewValues__ = values;
+  viewPaths.forEach((paths, i) =>
+    paths
       .transition()
       .duration(400)
-      .attr("fill", d => {
-        const iso3 = featureIso3(d);
-        const row =
-          iso3 && exposureByKey.get(keyExposure(iso3, 1990, state.buffer));
-        const pct = row?.pct_near;
-        if (pct == null) return "#eeeeee";
-        return color(pct);
-      })
-      .attr("stroke-width", d => {
-        const iso3 = featureIso3(d);
-        return iso3 === state.selectedIso3 ? 1.2 : 0.4;
-      })
-      .attr("stroke", d => {
-        const iso3 = featureIso3(d);
-        return iso3 === state.selectedIso3 ? "#111" : "#555";
-      });
+      .attr("fill", d => fill(values[i].get(mapKey(featureIso3(d)))))
+      .attr("stroke-width", d => selectionStrokeWidth(featureIso3(d)))
+      .attr("stroke", d => selectionStroke(featureIso3(d)))
+  );
 
-    d3.select("#map-container h2").text("Baseline exposure in 1990");
-    renderChoroplethLegend(color, maxPct, "baseline");
+  if (state.showOverlap && !mapShowsRegions()) {
+    d3
+      .select("#map-container h2")
+      .text(
+        popTypeLabel(
+          scopeTitle(
+            scope,
+            {
+              map: "Overlapping {distance} buffers, {year}",
+              regions: "Overlapping {distance} buffers by region, {year}",
+              region: "Overlapping {distance} buffers in {region}, {year}"
+            },
+            { distance: formatDistance(state.buffer), year: state.year }
+          )
+        )
+      );
+    renderChoroplethLegend(color, {
+      label: t("Share of {noun} near plants counted more than once when summed per plant", nounParams()),
+      format: formatShare
+    });
   } else {
-    // change map: newly exposed people per decade
-    const maxDeltaPeople = maxDeltaByBuffer.get(state.buffer) || 1;
-    const maxDeltaMillions = maxDeltaPeople / 1e6;
+    const metric = mapMetrics[activeMetric(prevYear)];
+    d3.select("#map-container h2").text(metric.title(scope, prevYear));
+    renderChoroplethLegend(color, { label: metric.legend(), format: metric.format });
+  }
+
+  renderSplitLayout();
+  renderMapTable(ix, prevYear);
+}
+
+// Values and colour scale for the map views. The overlap map shows the share
+// of the summed figure that counts people twice or more; otherwise the
+// active metric. Values cover every row (dimmed countries too) but the scale
+// follows the undimmed ones, so a drilled region gets its own range.
+function mapColouring(ix, views) {
+  if (state.showOverlap && !mapShowsRegions()) {
+    const values = views.map(({ year, buffer }) => {
+      const doubleCounted = new Map();
+      ix.rows
+        .filter(d => d.year === year && d.buffer_km === buffer)
+        .forEach(d => {
+          const overlap = countryOverlap(d.iso3, d.year, d.buffer_km);
+          if (overlap) doubleCounted.set(d.iso3, (1 - overlap.ratio) * 100);
+        });
+      return doubleCounted;
+    });
+    const maxShare = d3.max(values, v => d3.max(v.values())) || 1;
 
     const color = d3
       .scaleSequential()
-      .domain([0, maxDeltaMillions])
-      .interpolator(d3.interpolateYlOrRd);
+      .domain([0, maxShare])
+      .interpolator(d3.interpolatePurples);
+    return { color, values, fill: share => (share == null ? "#eeeeee" : color(share)) };
+  }
 
-    countryPaths
-      .transition()
-      .duration(400)
-      .attr("fill", d => {
-        const iso3 = featureIso3(d);
-        const deltaPeople =
-          iso3 &&
-          deltaExposureByKey.get(
-            keyExposure(iso3, state.year, state.buffer)
-          );
-        if (deltaPeople == null || deltaPeople <= 0) return "#eeeeee";
-        const valM = deltaPeople / 1e6;
-        return color(valM);
-      })
-      .attr("stroke-width", d => {
-        const iso3 = featureIso3(d);
-        return iso3 === state.selectedIso3 ? 1.2 : 0.4;
-      })
-      .attr("stroke", d => {
-        const iso3 = featureIso3(d);
-        return iso3 === state.selectedIso3 ? "#111" : "#555";
+  const metric = mapMetrics[activeMetric(ix.previousYear(state.year))];
+  const inScope = [];
+  const domains = [];
+  const values = views.map(({ year, buffer }) => {
+    const prevYear = ix.previousYear(year);
+    const viewValues = new Map();
+    const viewScope = [];
+    ix.rows
+      .filter(d => d.year === year && d.buffer_km === buffer)
+      .forEach(d => {
+        const value = metric.value(d, ix, prevYear);
+        if (value == null || !isFinite(value)) return;
+        viewValues.set(d.iso3, value);
+        if (mapShowsRegions() || !mapDimmed(d.iso3)) viewScope.push(value);
       });
+    inScope.push(...viewScope);
+    const domain = metric.domain?.(ix, viewScope, buffer);
+    if (domain) domains.push(domain);
+    return viewValues;
+  });
 
-    const prevYear = state.year - 10;
-    d3
-      .select("#map-container h2")
-      .text(`Newly exposed people, ${prevYear}–${state.year}`);
-    renderChoroplethLegend(color, maxDeltaMillions, "delta");
+  const diverging = !!metric.diverging?.();
+  const color = choroplethScale(inScope, mergeDomains(domains), {
+    interpolator: metric.interpolator?.(),
+    diverging
+  });
+  const fill = value => {
+    if (value == null) return "#eeeeee";
+    if (state.classification === "log" && !diverging && value <= 0) return "#eeeeee";
+    return color(value);
+  };
+  return { color, values, fill };
+}
+
+// widest of the views' fixed domains ([lo, hi] or diverging [lo, 0, hi])
+function mergeDomains(domains) {
+  if (!domains.length) return undefined;
+  return domains[0].map((v, i, all) =>
+    i === 0
+      ? d3.min(domains, d => d[0])
+      : i === all.length - 1
+        ? d3.max(domains, d => d[d.length - 1])
+        : v
+  );
+}
+
+// Split maps: a second map with its own year and buffer, side by side or
+// laid over the main map and revealed with the swipe slider. Both share the
+// zoom and the colour scale.
+function mapViews() {
+  const views = [{ year: state.year, buffer: state.buffer, side: "Left" }];
+  if (state.split) views.push({ year: state.splitYear, buffer: state.splitBuffer, side: "Right" });
+  return views;
+}
+
+function initSplitMap() {
+  const countryPaths = splitCountriesG
+    .selectAll("path.country")
+    .data(world.features)
+    .join("path")
+    .attr("class", "country")
+    .attr("d", mapG.node().__path__)
+    .attr("stroke", "#555")
+    .attr("stroke-width", 0.3)
+    .attr("fill", "#eee")
+    .on("mousemove", showSplitTooltip)
+    .on("mouseout", () => tooltip.style("display", "none"))
+    .on("click", countryClick);
+  splitG.node().__countryPaths__ = countryPaths;
+  countryNav("split-countries", countryPaths);
+
+  splitModeSelect.on("change", () => {
+    state.split = splitModeSelect.property("value") || null;
+    renderAll();
+  });
+  splitYearSelect.on("change", () => {
+    state.splitYear = +splitYearSelect.property("value");
+    renderAll();
+  });
+  splitBufferSelect.on("change", () => {
+    state.splitBuffer = +splitBufferSelect.property("value");
+    renderAll();
+  });
+  swipeSlider.on("input", () => renderSplitLayout());
+}
+
+// keep the second map's year on the current timeline
+function syncSplitYear() {
+  const timelineYears = exposureIndex().years;
+  if (!timelineYears.includes(state.splitYear)) {
+    state.splitYear = d3.least(timelineYears, y => Math.abs(y - state.splitYear));
   }
 }
 
-function renderChoroplethLegend(color, maxVal, mode) {
-  const legendRoot = d3.select("#map-legend");
-  legendRoot.selectAll("*").remove();
+function renderSplitLayout() {
+  const swipe = state.split === "swipe";
+  d3.select("#map-frame").classed("side", state.split === "side").classed("swipe", swipe);
+  splitSvg.style("display", state.split ? null : "none");
+  splitSvg.attr(
+    "aria-label",
+    state.split
+      ? t("Right map: {year}, within {distance}", {
+          year: state.splitYear,
+          distance: formatDistance(state.splitBuffer)
+        })
+      : null
+  );
+  splitModeSelect.property("value", state.split || "");
 
-  const legendWidth = 300;
-  const legendHeight = 55;  // more vertical space
+  splitYearSelect
+    .style("display", state.split ? null : "none")
+    .selectAll("option")
+    .data(exposureIndex().years)
+    .join("option")
+    .attr("value", d => d)
+    .text(d => d);
+  splitYearSelect.property("value", state.splitYear);
+  splitBufferSelect.style("display", state.split ? null : "none").property("value", state.splitBuffer);
 
-  const svg = legendRoot
-    .append("svg")
-    .attr("width", legendWidth)
-    .attr("height", legendHeight);
+  // the right map shows to the right of the swipe line
+  const position = +swipeSlider.property("value");
+  swipeSlider.style("display", swipe ? null : "none");
+  splitSvg.style("clip-path", swipe ? `inset(0 0 0 ${position}%)` : null);
+  d3.select("#swipe-line")
+    .style("display", swipe ? null : "none")
+    .style("left", `${position}%`);
 
-  const gradId = `legend-gradient-${mode}`;
+  d3.select("#split-labels").style("display", state.split ? null : "none");
+  const [left, right] = mapViews();
+  if (right) {
+    d3.select("#split-label-left").text(
+      t("Left: {year}, {distance}", { year: left.year, distance: formatDistance(left.buffer) })
+    );
+    d3.select("#split-label-right").text(
+      t("Right: {year}, {distance}", { year: right.year, distance: formatDistance(right.buffer) })
+    );
+  }
+}
 
-  // gradient definition
-  const defs = svg.append("defs");
-  const gradient = defs
-    .append("linearGradient")
-    .attr("id", gradId)
-    .attr("x1", "0%")
-    .attr("x2", "100%")
-    .attr("y1", "0%")
-    .attr("y2", "0%");
+// both maps' values for a country and the difference between them
+function showSplitTooltip(event, d) {
+  const key = mapKey(featureIso3(d));
+  const values = mapG.node().__viewValues__ || [];
+  const overlap = state.showOverlap && !mapShowsRegions();
+  const metricKey = overlap ? null : activeMetric(mapIndex().previousYear(state.year));
+  const label = t(overlap ? "Counted more than once" : mapMetrics[metricKey].label);
+  const format = overlap ? formatShare : mapMetrics[metricKey].format;
 
-  const stops = d3.range(0, 1.0001, 0.1);
-  stops.forEach(t => {
-    gradient
-      .append("stop")
-      .attr("offset", `${t * 100}%`)
-      .attr("stop-color", color(t * maxVal));
+  const lines = [`<strong>${escapeHtml(mapShowsRegions() ? key || t("No region data") : featureName(d))}</strong>`];
+  lines.push(popTypeLabel(label));
+  const viewValues = mapViews().map((view, i) => {
+    const value = key ? values[i]?.get(key) : null;
+    lines.push(
+      `${t(view.side)} (${view.year}, ${formatDistance(view.buffer)}): ${value == null ? t("no data") : format(value)}`
+    );
+    return value;
   });
+  const [left, right] = viewValues;
+  if (left != null && right != null) {
+    lines.push(t("Difference (right − left): {value}", { value: formatDifference(metricKey, right - left) }));
+  }
 
-  // color bar
-  svg
-    .append("rect")
-    .attr("x", 0)
-    .attr("y", 8)              // slightly lower
-    .attr("width", legendWidth)
-    .attr("height", 10)
-    .attr("rx", 3)
-    .attr("fill", `url(#${gradId})`);
+  tooltip
+    .style("display", "block")
+    .html(lines.join("<br/>"))
+    .style("left", event.pageX + 12 + "px")
+    .style("top", event.pageY + 12 + "px");
+}
 
-  // axis under the bar
-  const scale = d3
-    .scaleLinear()
-    .domain([0, maxVal])
-    .range([0, legendWidth]);
+// shares differ in percentage points, counts in people
+function formatDifference(metricKey, v) {
+  if (metricKey == null || metricKey === "pct_near" || metricKey === "pct_change") {
+    return formatPoints(v);
+  }
+  return formatSignedPeople(v);
+}
 
-  const axis = d3
-    .axisBottom(scale)
-    .ticks(4)
-    .tickSize(4)
-    .tickFormat(d =>
-      mode === "baseline" ? d.toFixed(0) + "%" : d.toFixed(1) + "M"
-    );
+// Locale: number formats, people units and UI strings. English is built in
+// and its strings are the message keys; other locales are loaded from
+// data/locales/{code}.json. Every figure on screen goes through the
+// formatters below; exported files keep raw values and kilometres.
+const localeNames = { en: "English", fr: "Français", ja: "日本語" };
+const englishLocale = {
+  code: "en",
+  number: { decimal: ".", thousands: ",", grouping: [3], currency: ["$", ""] },
+  people: [
+    [1e9, "B"],
+    [1e6, "M"],
+    [1e3, "k"]
+  ], // largest unit first
+  percent: "%",
+  messages: {}
+};
+const loadedLocales = new Map([["en", englishLocale]]);
+let locale = englishLocale;
+let numberFormat = d3.formatLocale(englishLocale.number);
+const kmPerMile = 1.609344;
 
-  svg
-    .append("g")
-    .attr("transform", "translate(0,26)")  // move axis down
-    .call(axis)
-    .call(g => g.select(".domain").remove())
-    .call(g => g.selectAll("text").attr("font-size", 10));
+// translated UI string, with `{name}` placeholders filled from `params`
+function t(message, params = {}) {
+  const text = locale.messages[message] ?? message;
+  return text.replace(/\{(\w+)\}/g, (m, name) => params[name] ?? m);
+}
 
-  const labelText =
-    mode === "baseline"
-      ? "Share of people living near nuclear plants"
-      : "New people living near nuclear plants since previous decade";
+// names from the data files and the user's CSV, for tooltips built as HTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
 
-  svg
-    .append("text")
-    .attr("x", 0)
-    .attr("y", 54)             // well below axis ticks
-    .attr("font-size", 11)
-    .text(labelText);
+// people in the largest unit that fits, to three significant digits
+function formatPeople(v) {
+  if (v == null) return null;
+  const [scale, suffix] = locale.people.find(([unit]) => Math.abs(v) >= unit) || [1, ""];
+  return `${numberFormat.format(".3~r")(v / scale)}${suffix}`;
 }
 
-// Plant overlay
-function renderPlants() {
-  plantsG.selectAll("*").remove();
-  if (!state.showPlants) return;
+function formatSignedPeople(v) {
+  if (v == null) return null;
+  return v > 0 ? `+${formatPeople(v)}` : formatPeople(v);
+}
 
-  const projection = mapG.node().__projection__;
-  if (!projection) return;
+// shares: one decimal from 1%, two significant digits below
+function formatPct(v) {
+  if (v == null) return null;
+  const abs = Math.abs(v);
+  if (abs > 0 && abs < 0.001) return `<${numberFormat.format(".3f")(0.001)}${locale.percent}`;
+  return `${numberFormat.format(abs >= 1 || abs === 0 ? ".1~f" : ".2~r")(v)}${locale.percent}`;
+}
 
-  const yearKey = `pop${state.buffer}_${state.year}`;
-  const rows = plantRows.filter(d => d[yearKey] != null);
-  const maxPop = d3.max(rows, d => d[yearKey]) || 1;
+const formatShare = formatPct;
 
-  const size = d3
-    .scaleSqrt()
-    .domain([0, maxPop])
-    .range([1, 10]);
+function formatSignedPct(v) {
+  return v > 0 ? `+${formatPct(v)}` : formatPct(v);
+}
 
-  plantsG
-    .selectAll("circle.plant")
-    .data(rows)
-    .join("circle")
-    .attr("class", "plant")
-    .attr("cx", d => projection([d.lon, d.lat])[0])
-    .attr("cy", d => projection([d.lon, d.lat])[1])
-    .attr("r", d => size(d[yearKey]))
-    .attr("fill", "rgba(0, 0, 0, 0.15)")
-    .attr("stroke", "rgba(0, 0, 0, 0.7)")
-    .attr("stroke-width", 0.6)
-    .on("mousemove", (event, d) => {
-      const millions = d[yearKey] / 1e6;
-      const lines = [
-        `<strong>${d.plant}</strong> (${d.country})`,
-        `Reactors: ${d.num_reactors}`,
-        `${state.buffer} km population, ${state.year}: ${millions.toFixed(2)}M`
-      ];
-      tooltip
-        .style("display", "block")
-        .html(lines.join("<br/>"))
-        .style("left", event.pageX + 12 + "px")
-        .style("top", event.pageY + 12 + "px");
-    })
-    .on("mouseout", () => {
-      tooltip.style("display", "none");
-    });
+// difference between two shares, in percentage points
+function formatPoints(v) {
+  return t("{value} pp", { value: numberFormat.format("+.2~f")(v) });
 }
 
-// Detail panel (Q3: how exposure is distributed across distances)
-function renderDetail() {
-  const iso3 = state.selectedIso3;
-  if (!iso3 || !exposuresByCountry.has(iso3)) {
-    detailTitle.text("Click a country to see its exposure profile");
-    detailSummary.text("");
-    detailG.selectAll(".bar").remove();
+function formatCount(v) {
+  return numberFormat.format(",d")(v);
+}
 
-    yDetail.domain([0, 10]);
-    detailG
-      .select(".x-axis")
-      .call(d3.axisBottom(xDetail).tickFormat(d => d + " km"));
-    detailG
-      .select(".y-axis")
-      .call(d3.axisLeft(yDetail).ticks(5).tickFormat(d => d + "%"));
-    return;
-  }
+function formatCapacity(mw) {
+  return mw == null ? t("n/a") : `${formatCount(mw)} MW`;
+}
 
-  const rows = exposuresByCountry.get(iso3);
-  const name = rows[0].country;
+// a distance given in km, in the selected units (whole numbers)
+function formatDistance(km) {
+  if (km == null) return null;
+  const value = state.units === "mi" ? km / kmPerMile : km;
+  return `${formatCount(Math.round(value))} ${t(state.units)}`;
+}
 
-  detailTitle.text(`Exposure profile in ${name}, ${state.year}`);
+// switch to `code`, loading its file the first time; English if that fails
+async function changeLocale(code) {
+  try {
+    if (!loadedLocales.has(code)) {
+      const file = await d3.json(`./data/locales/${code}.json`);
+      loadedLocales.set(code, { ...englishLocale, ...file, code });
+    }
+  } catch (error) {
+    code = "en";
+  }
+  state.locale = code;
+  locale = loadedLocales.get(code);
+  numberFormat = d3.formatLocale(locale.number);
+  document.documentElement.lang = code;
+  localeSelect.property("value", code);
+  translatePage();
+  labelControls();
+  renderAll();
+  renderDatasetStatus();
+  renderJoinDiagnostics();
+}
 
-  // rows for current year (one per buffer)
-  const yearRows = rows.filter(d => d.year === state.year);
-  const data = buffers.map(b => {
-    const r = yearRows.find(d => d.buffer_km === b);
-    return {
-      buffer_km: b,
-      pct_near: r ? r.pct_near : 0,
-      pop_near: r ? r.pop_near : 0,
-      num_plants: r ? r.num_plants : 0
-    };
+// static text in index.html: elements marked data-i18n keep their English
+// text as the message key
+function translatePage() {
+  d3.selectAll("[data-i18n]").each(function () {
+    this.__message__ ??= this.textContent.trim();
+    this.textContent = t(this.__message__);
+  });
+  d3.selectAll("[data-i18n-label]").each(function () {
+    this.__label__ ??= this.getAttribute("aria-label");
+    this.setAttribute("aria-label", t(this.__label__));
+  });
+  d3.selectAll("[data-i18n-placeholder]").each(function () {
+    this.__placeholder__ ??= this.getAttribute("placeholder");
+    this.setAttribute("placeholder", t(this.__placeholder__));
   });
+  document.title = t(document.__title__ ??= document.title);
+}
 
-  const maxPct = d3.max(data, d => d.pct_near || 0) || 1;
-  yDetail.domain([0, maxPct * 1.1]);
+// Choropleth metrics. `value` reads one map row (country or region); metrics
+// that compare with `prevYear` have no value on the first year of a timeline.
 
-  detailG
-    .select(".x-axis")
-    .call(d3.axisBottom(xDetail).tickFormat(d => d + " km"));
+const mapMetrics = {
+  pct_near: {
+    label: "Share of population",
+    value: d => pctNear(d),
+    format: formatShare,
+    title: (scope, prevYear) =>
+      prevYear == null
+        ? popTypeLabel(
+            scopeTitle(
+              scope,
+              {
+                map: "Baseline exposure in {year}",
+                regions: "Baseline exposure by region in {year}",
+                region: "Baseline exposure in {region} in {year}"
+              },
+              nounParams()
+            )
+          )
+        : scopeTitle(
+            scope,
+            {
+              map: "Share of {noun} near plants, {year}",
+              regions: "Share of {noun} near plants by region, {year}",
+              region: "Share of {noun} near plants in {region}, {year}"
+            },
+            nounParams()
+          ),
+    legend: () =>
+      state.popType === "total"
+        ? t("Share of people living near nuclear plants")
+        : t("Share of population: {noun} living near nuclear plants", nounParams())
+  },
+  pop_near: {
+    label: "People near plants",
+    value: d => popNear(d),
+    format: formatPeople,
+    title: scope =>
+      scopeTitle(
+        scope,
+        {
+          map: "{Noun} near plants, {year}",
+          regions: "{Noun} near plants by region, {year}",
+          region: "{Noun} near plants in {region}, {year}"
+        },
+        nounParams()
+      ),
+    legend: () => t("{Noun} living near nuclear plants", nounParams())
+  },
+  change: {
+    label: "Change in people near plants",
+    // net change, or the gross gains / losses summed over plants; nothing
+    // to compare where neither year has anyone near a plant
+    value: (d, ix, prevYear) => {
+      const key = keyDelta(d.iso3, d.year, d.buffer_km);
+      const delta = ix.deltaByKey.get(key);
+      if (delta == null) return null;
+      const prev = ix.byKey.get(keyExposure(d.iso3, prevYear, d.buffer_km));
+      if (!popNear(d) && !popNear(prev)) return null;
+      return state.changeMode === "net" ? delta : ix.grossByKey.get(key)?.[state.changeMode];
+    },
+    // fixed across years so the decades can be compared
+    domain: (ix, values, buffer = state.buffer) => {
+      const max = ix.maxDeltaByBuffer.get(state.popType)?.get(buffer)?.[state.changeMode] || 1;
+      return state.changeMode === "net" ? [-max, 0, max] : [0, max];
+    },
+    diverging: () => state.changeMode === "net",
+    interpolator: () => (state.changeMode === "loss" ? d3.interpolateBlues : d3.interpolateYlOrRd),
+    format: v => (state.changeMode === "net" ? formatSignedPeople(v) : formatPeople(v)),
+    title: (scope, prevYear) =>
+      prevYear == null
+        ? scopeTitle(
+            scope,
+            {
+              map: "{title}: no earlier year to compare with",
+              regions: "{title} by region: no earlier year to compare with",
+              region: "{title} in {region}: no earlier year to compare with"
+            },
+            { title: changeModes[state.changeMode].title() }
+          )
+        : scopeTitle(
+            scope,
+            {
+              map: "{title}, {from}–{to}",
+              regions: "{title} by region, {from}–{to}",
+              region: "{title} in {region}, {from}–{to}"
+            },
+            { title: changeModes[state.changeMode].title(), from: prevYear, to: state.year }
+          ),
+    legend: () => changeModes[state.changeMode].legend()
+  },
+  pct_change: {
+    label: "Percent change",
+    value: (d, ix, prevYear) => {
+      const prev = prevYear != null && ix.byKey.get(keyExposure(d.iso3, prevYear, d.buffer_km));
+      const before = popNear(prev);
+      return before > 0 ? ((popNear(d) - before) / before) * 100 : null;
+    },
+    diverging: () => true,
+    format: v => `${numberFormat.format("+.0f")(v)}${locale.percent}`,
+    title: (scope, prevYear) =>
+      prevYear == null
+        ? scopeTitle(
+            scope,
+            {
+              map: "Change in {noun} near plants: no earlier year to compare with",
+              regions: "Change in {noun} near plants by region: no earlier year to compare with",
+              region: "Change in {noun} near plants in {region}: no earlier year to compare with"
+            },
+            nounParams()
+          )
+        : scopeTitle(
+            scope,
+            {
+              map: "Change in {noun} near plants, {from}–{to}",
+              regions: "Change in {noun} near plants by region, {from}–{to}",
+              region: "Change in {noun} near plants in {region}, {from}–{to}"
+            },
+            { ...nounParams(), from: prevYear, to: state.year }
+          ),
+    legend: () => t("Percent change in {noun} near plants since the previous step", nounParams())
+  },
+  per_plant: {
+    label: "People per plant",
+    value: d => (d.num_plants > 0 ? popNear(d) / d.num_plants : null),
+    format: formatPeople,
+    title: scope =>
+      scopeTitle(
+        scope,
+        {
+          map: "{Noun} near plants per plant, {year}",
+          regions: "{Noun} near plants per plant by region, {year}",
+          region: "{Noun} near plants per plant in {region}, {year}"
+        },
+        nounParams()
+      ),
+    legend: () => t("{Noun} near nuclear plants per plant", nounParams())
+  },
+  per_reactor: {
+    label: "People per reactor",
+    value: d => {
+      const reactors = reactorCount(d);
+      return reactors > 0 ? popNear(d) / reactors : null;
+    },
+    format: formatPeople,
+    title: scope =>
+      scopeTitle(
+        scope,
+        {
+          map: "{Noun} near plants per reactor, {year}",
+          regions: "{Noun} near plants per reactor by region, {year}",
+          region: "{Noun} near plants per reactor in {region}, {year}"
+        },
+        nounParams()
+      ),
+    legend: () => t("{Noun} near nuclear plants per reactor", nounParams())
+  }
+};
 
-  detailG
-    .select(".y-axis")
-    .call(d3.axisLeft(yDetail).ticks(5).tickFormat(d => d + "%"));
+// What the change metric counts: the net change, or only the people who
+// came within range of a plant (gains) or left it (losses) summed over plants
+const changeModes = {
+  net: {
+    label: "Net change",
+    title: () => t("Net change in {noun} near plants", nounParams()),
+    legend: () => t("Net change in {noun} near nuclear plants since the previous step", nounParams())
+  },
+  gain: {
+    label: "Gains",
+    title: () => t("Newly exposed {noun}", nounParams()),
+    legend: () => t("New {noun} living near nuclear plants since the previous step", nounParams())
+  },
+  loss: {
+    label: "Losses",
+    title: () => t("{Noun} no longer near plants", nounParams()),
+    legend: () => t("{Noun} no longer living near nuclear plants since the previous step", nounParams())
+  }
+};
 
-  const bars = detailG.selectAll("rect.bar").data(data, d => d.buffer_km);
+const classifications = ["linear", "log", "quantile", "jenks"];
+const choroplethClasses = 5;
 
-  bars
-    .join(
-      enter =>
-        enter
-          .append("rect")
-          .attr("class", "bar")
-          .attr("x", d => xDetail(d.buffer_km))
-          .attr("width", xDetail.bandwidth())
-          .attr("y", d => yDetail(d.pct_near))
-          .attr("height", d => yDetail(0) - yDetail(d.pct_near))
-          .attr("fill", d => colorBuffer(d.buffer_km)),
-      update =>
-        update
-          .transition()
-          .duration(400)
-          .attr("x", d => xDetail(d.buffer_km))
-          .attr("width", xDetail.bandwidth())
-          .attr("y", d => yDetail(d.pct_near))
-          .attr("height", d => yDetail(0) - yDetail(d.pct_near))
-    );
+// "auto" keeps the original pairing: share on the first year of the
+// timeline, the change since the previous step after that
+function activeMetric(prevYear) {
+  if (state.metric !== "auto") return state.metric;
+  return prevYear == null ? "pct_near" : "change";
+}
 
-  // bar tooltip
-  detailG
-    .selectAll("rect.bar")
-    .on("mousemove", (event, d) => {
-      const lines = [
-        `<strong>${name}</strong>`,
-        `${d.buffer_km} km: ${d.pct_near.toFixed(1)}% of population`,
-        `People near plants: ${(d.pop_near / 1e6).toFixed(2)}M`,
-        `Plants: ${d.num_plants}`
-      ];
+function capitalize(text) {
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+// placeholders for the metric titles: the translated population noun, as is
+// and capitalised, plus the year
+function nounParams() {
+  const noun = t(popTypeNoun());
+  return { noun, Noun: capitalize(noun), year: state.year };
+}
+
+// A map heading in the form for its scope: "map" (every country), "regions"
+// (the regional map) or "region" (the selected region's countries). Each form
+// is a whole sentence so translations can place the scope where it belongs.
+function scopeTitle(scope, templates, params) {
+  return t(templates[scope], { ...params, region: state.selectedRegion });
+}
+
+// reactors behind a map row: the country's plants (operating ones on the
+// annual timeline), or all member countries' for a region row
+function reactorCount(row) {
+  const iso3s = row.num_countries != null ? regionMembers(row.region) : [row.iso3];
+  return d3.sum(iso3s, iso3 =>
+    state.timeline === "annual"
+      ? d3.sum(countryPlants(iso3, row.year), p =>
+          (reactorsByPlant.get(p.plant_id) || []).filter(
+            r => reactorStatusAt(r, row.year) === "operational"
+          ).length
+        )
+      : d3.sum(countryPlants(iso3, row.year), p => p.num_reactors)
+  );
+}
+
+// Colour scale for the values on the map under the chosen classification.
+// Classed scales remember the data extent for their legend. Diverging
+// scales centre on zero: blue for decreases, red for increases.
+function choroplethScale(values, domain, { interpolator = d3.interpolateYlOrRd, diverging = false } = {}) {
+  const min = d3.min(values) ?? 0;
+  const max = d3.max(values) ?? 1;
+  const divergingColor = t => d3.interpolateRdBu(1 - t);
+  const bound = domain ? d3.max(domain, Math.abs) : d3.max(values, Math.abs) || 1;
+  const ramp = d3.quantize(diverging ? divergingColor : interpolator, choroplethClasses);
+
+  if (state.classification === "quantile" || state.classification === "jenks") {
+    const scale =
+      state.classification === "quantile"
+        ? d3.scaleQuantile().domain(values).range(ramp)
+        : jenksScale(values, ramp, interpolator);
+    if (diverging) {
+      // classes keep their breaks but take the colour of their midpoint, so
+      // the colours still split at zero
+      const center = d3.scaleLinear().domain([-bound, bound]).range([0, 1]).clamp(true);
+      scale.range(
+        scale.range().map(c => {
+          const [lo = min, hi = max] = scale.invertExtent(c);
+          return divergingColor(center((lo + hi) / 2));
+        })
+      );
+    }
+    scale.__extent__ = [min, max];
+    return scale;
+  }
+  if (diverging) {
+    return (state.classification === "log" ? d3.scaleDivergingSymlog() : d3.scaleDiverging())
+      .interpolator(divergingColor)
+      .domain([-bound, 0, bound]);
+  }
+  if (state.classification === "log") {
+    // zero and negative values fall outside a log scale and are left grey
+    const positive = values.filter(v => v > 0);
+    const upper = domain ? domain[1] : d3.max(positive) || 1;
+    const lower = Math.min(d3.min(positive) ?? upper / 10, upper / 10);
+    return d3.scaleSequentialLog(interpolator).domain([lower, upper]);
+  }
+  return d3
+    .scaleSequential(interpolator)
+    .domain(domain || [Math.min(0, min), max || 1]);
+}
+
+function jenksScale(values, ramp, interpolator) {
+  const breaks = jenksBreaks(values, ramp.length);
+  return d3
+    .scaleThreshold()
+    .domain(breaks)
+    .range(d3.quantize(interpolator, breaks.length + 1));
+}
+
+// Jenks natural breaks (Fisher's exact optimisation): the k - 1 thresholds
+// that minimise the within-class sums of squared deviations
+function jenksBreaks(values, k) {
+  const data = values.slice().sort(d3.ascending);
+  const unique = Array.from(new Set(data));
+  if (unique.length <= k) return unique.slice(1);
+
+  const n = data.length;
+  // lower[l][j]: 1-based index where class j starts in the best split of
+  // data[0..l-1] into j classes; cost[l][j]: that split's squared deviations
+  const lower = d3.range(n + 1).map(() => new Array(k + 1).fill(0));
+  const cost = d3.range(n + 1).map(() => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    cost[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+    for (let m = 1; m <= l; m++) {
+      const start = l - m + 1;
+      const value = data[start - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+      if (start > 1) {
+        for (let j = 2; j <= k; j++) {
+          const total = variance + cost[start - 1][j - 1];
+          if (total <= cost[l][j]) {
+            lower[l][j] = start;
+            cost[l][j] = total;
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    cost[l][1] = variance;
+  }
+
+  const breaks = [];
+  let end = n;
+  for (let j = k; j >= 2; j--) {
+    const start = lower[end][j];
+    breaks.unshift(data[start - 1]);
+    end = start - 1;
+  }
+  return breaks;
+}
+
+// a heading or column label qualified by the population type, "… (urban)";
+// totals as they are
+function popTypeLabel(text) {
+  return state.popType === "total" ? text : t("{text} ({popType})", { text, popType: t(state.popType) });
+}
+
+// first lines of the detail bar tooltips
+function barShareLine(buffer, pct) {
+  return popTypeLabel(
+    t("{distance}: {share} of population", { distance: formatDistance(buffer), share: formatPct(pct) ?? t("n/a") })
+  );
+}
+
+function barPeopleLine(pop) {
+  return t(state.popType === "total" ? "People near plants: {people}" : "Residents near plants: {people}", {
+    people: formatPeople(pop)
+  });
+}
+
+// "{distance} population, {year}: …" in the plant and cluster tooltips
+function plantPopulationLine(pop, year, buffer) {
+  const params = { distance: formatDistance(buffer), popType: t(state.popType), year, people: formatPeople(pop) };
+  return state.popType === "total"
+    ? t("{distance} population, {year}: {people}", params)
+    : t("{distance} population ({popType}), {year}: {people}", params);
+}
+
+// outline selected countries; in comparison mode use each country's colour
+function selectionStroke(iso3) {
+  const selected = selectedCountries();
+  if (!selected.includes(iso3)) return "#555";
+  return selected.length > 1 ? colorCountry(iso3) : "#111";
+}
+
+function selectionStrokeWidth(iso3) {
+  const selected = selectedCountries();
+  if (!selected.includes(iso3)) return 0.4;
+  return selected.length > 1 ? 1.6 : 1.2;
+}
+
+// Continuous scales get a gradient bar with an axis; classed scales
+// (quantile, Jenks) get one box per class with the class breaks under it.
+function renderChoroplethLegend(color, { label, format }) {
+  const legendRoot = d3.select("#map-legend");
+  legendRoot.selectAll("*").remove();
+
+  const legendWidth = 300;
+  const legendHeight = 55;  // more vertical space
+
+  const svg = legendRoot
+    .append("svg")
+    .attr("width", legendWidth)
+    .attr("height", legendHeight);
+
+  if (color.invertExtent) {
+    // discrete classes: boxes, with the breaks between them
+    const classes = color.range();
+    const boxWidth = legendWidth / classes.length;
+    const [min, max] = color.__extent__;
+    const breaks = [min, ...classes.slice(1).map(c => color.invertExtent(c)[0]), max];
+
+    svg
+      .selectAll("rect.legend-class")
+      .data(classes)
+      .join("rect")
+      .attr("class", "legend-class")
+      .attr("x", (c, i) => i * boxWidth)
+      .attr("y", 8)
+      .attr("width", boxWidth - 1)
+      .attr("height", 10)
+      .attr("fill", c => c);
+
+    svg
+      .selectAll("text.legend-break")
+      .data(breaks)
+      .join("text")
+      .attr("class", "legend-break")
+      .attr("x", (v, i) => Math.min(Math.max(i * boxWidth, 0), legendWidth))
+      .attr("y", 32)
+      .attr("font-size", 9)
+      .attr("text-anchor", (v, i) => (i === 0 ? "start" : i === breaks.length - 1 ? "end" : "middle"))
+      .text(v => (v == null ? "" : format(v)));
+  } else {
+    const gradId = "legend-gradient";
+    const log = !!color.base;
+    const symlog = !!color.constant;
+
+    // gradient definition, sampled along the colour ramp
+    const defs = svg.append("defs");
+    const gradient = defs
+      .append("linearGradient")
+      .attr("id", gradId)
+      .attr("x1", "0%")
+      .attr("x2", "100%")
+      .attr("y1", "0%")
+      .attr("y2", "0%");
+
+    const stops = d3.range(0, 1.0001, 0.1);
+    stops.forEach(t => {
+      gradient
+        .append("stop")
+        .attr("offset", `${t * 100}%`)
+        .attr("stop-color", color.interpolator()(t));
+    });
+
+    // color bar
+    svg
+      .append("rect")
+      .attr("x", 0)
+      .attr("y", 8)              // slightly lower
+      .attr("width", legendWidth)
+      .attr("height", 10)
+      .attr("rx", 3)
+      .attr("fill", `url(#${gradId})`);
+
+    // axis under the bar; diverging scales span [min, 0, max]
+    const domain = color.domain();
+    const scale = (log ? d3.scaleLog() : symlog ? d3.scaleSymlog() : d3.scaleLinear())
+      .domain([domain[0], domain[domain.length - 1]])
+      .range([0, legendWidth]);
+
+    const axis = d3
+      .axisBottom(scale)
+      .ticks(4)
+      .tickSize(4)
+      .tickFormat(format);
+    if (log) axis.tickValues(scale.ticks(4).filter((d, i, all) => all.length <= 5 || i % Math.ceil(all.length / 5) === 0));
+    if (symlog) axis.tickValues([domain[0], domain[0] / 20, 0, domain[2] / 20, domain[2]]);
+
+    svg
+      .append("g")
+      .attr("transform", "translate(0,26)")  // move axis down
+      .call(axis)
+      .call(g => g.select(".domain").remove())
+      .call(g => g.selectAll("text").attr("font-size", 10));
+  }
+
+  svg
+    .append("text")
+    .attr("x", 0)
+    .attr("y", 54)             // well below axis ticks
+    .attr("font-size", 11)
+    .text(label);
+}
+
+// Plants shown for the current year and buffer, with their population lookup:
+// census columns directly, or interpolated values for plants online that year
+function visiblePlants(year = state.year, buffer = state.buffer) {
+  const annual = state.timeline === "annual";
+  const source = censusSource(year);
+  const plantPop = (d, popType = state.popType) =>
+    annual
+      ? censusValue(source, y => d[plantPopKey(buffer, y, popType)])
+      : d[plantPopKey(buffer, year, popType)];
+
+  const rows = plantRows.filter(
+    d => plantPop(d) != null && (!annual || plantOnline(d, year))
+  );
+  return { rows, plantPop };
+}
+
+// Plant overlay. Plants closer on screen than `clusterDistance` merge into
+// one symbol for their summed population, re-clustered at every half step
+// of the zoom scale. Symbols keep their on-screen size at any zoom.
+const clusterDistance = 12; // px
+const maxClusterRadius = 24; // px
+
+function clusterLevel(k) {
+  return Math.floor(Math.log2(k) * 2);
+}
+
+// greedy clustering in projected coordinates, largest plants first; the
+// selected plant always stays on its own
+function clusterPlants(rows, plantPop, k) {
+  const projection = mapG.node().__projection__;
+  const distance = clusterDistance / 2 ** (clusterLevel(k) / 2);
+  const points = rows
+    .map(plant => ({ plant, position: projection([plant.lon, plant.lat]) }))
+    .sort((a, b) => d3.descending(plantPop(a.plant), plantPop(b.plant)));
+
+  const clusters = [];
+  const taken = new Set();
+  points.forEach(seed => {
+    if (taken.has(seed)) return;
+    taken.add(seed);
+    const members = [seed];
+    if (seed.plant.plant_id !== state.selectedPlantId) {
+      points.forEach(p => {
+        if (taken.has(p) || p.plant.plant_id === state.selectedPlantId) return;
+        const [dx, dy] = [p.position[0] - seed.position[0], p.position[1] - seed.position[1]];
+        if (Math.hypot(dx, dy) < distance) {
+          taken.add(p);
+          members.push(p);
+        }
+      });
+    }
+    clusters.push({
+      key: members.map(m => m.plant.plant_id).sort(d3.ascending).join(","),
+      plants: members.map(m => m.plant),
+      x: d3.mean(members, m => m.position[0]),
+      y: d3.mean(members, m => m.position[1]),
+      pop: d3.sum(members, m => plantPop(m.plant))
+    });
+  });
+  return clusters;
+}
+
+function renderPlants() {
+  const views = mapViews();
+  mapLayers.forEach(({ plantsG, nav }, i) => renderPlantLayer(plantsG, nav, views[i]));
+}
+
+// one map's plants at its view's year and buffer
+function renderPlantLayer(layer, nav, view) {
+  if (!state.showPlants || !view) {
+    layer.selectAll("*").remove();
+    return;
+  }
+
+  const projection = mapG.node().__projection__;
+  if (!projection) return;
+
+  const { year, buffer } = view;
+  const k = d3.zoomTransform(mapSvg.node()).k;
+  const annual = state.timeline === "annual";
+  const source = censusSource(year);
+  const { rows, plantPop } = visiblePlants(year, buffer);
+  const maxPop = d3.max(rows, d => plantPop(d)) || 1;
+
+  const size = d3
+    .scaleSqrt()
+    .domain([0, maxPop])
+    .range([1, 10]);
+
+  const clusters = clusterPlants(
+    rows.filter(d => pointVisible(d.lon, d.lat)),
+    plantPop,
+    k
+  );
+  layer.node().__clusterLevel__ = clusterLevel(k);
+  layer.node().__plantSize__ = size;
+  const selectedPlant = rows.find(d => d.plant_id === state.selectedPlantId);
+  const neighbours = new Set(
+    selectedPlant ? overlappingPlants(selectedPlant, rows, buffer).map(d => d.plant.plant_id) : []
+  );
+  const highlighted = storyHighlights().plants;
+
+  layer
+    .selectAll("g.plant-cluster")
+    .data(
+      clusters.filter(c => c.plants.length > 1),
+      d => d.key
+    )
+    .join(enter => {
+      const g = enter.append("g").attr("class", "plant-cluster");
+      g.append("circle")
+        .attr("fill", "rgba(230, 81, 0, 0.25)")
+        .attr("stroke", "rgba(120, 40, 0, 0.8)")
+        .attr("stroke-width", 0.8)
+        .attr("vector-effect", "non-scaling-stroke");
+      g.append("text")
+        .attr("text-anchor", "middle")
+        .attr("dy", "0.35em")
+        .attr("fill", "#4e1b00")
+        .attr("pointer-events", "none");
+      return g;
+    })
+    .attr("transform", d => `translate(${d.x},${d.y})`)
+    .classed("hovered", false)
+    .classed("neighbour", d => d.plants.some(p => neighbours.has(p.plant_id)))
+    .classed("story-highlight", d => d.plants.some(p => highlighted.has(p.plant_id)))
+    .call(g => g.select("text").text(d => d.plants.length))
+    .on("click", (event, d) => zoomToCluster(d))
+    .on("mousemove", (event, d) => {
+      const countries = Array.from(new Set(d.plants.map(p => p.country)));
+      const largest = d3.sort(d.plants, p => -plantPop(p)).slice(0, 5);
+      const lines = [
+        `<strong>${t("{count} plants", { count: d.plants.length })}</strong> (${escapeHtml(listPhrase(countries))})`,
+        t("Reactors: {count}", { count: d3.sum(d.plants, p => p.num_reactors) }),
+        plantPopulationLine(d.pop, year, buffer),
+        `<em>${t("Summed over plants: people near several of them count for each")}</em>`,
+        ...largest.map(p => `&nbsp;&nbsp;${escapeHtml(p.plant)}: ${formatPeople(plantPop(p))}`)
+      ];
+      if (d.plants.length > largest.length) {
+        lines.push(`&nbsp;&nbsp;${t("and {count} more", { count: d.plants.length - largest.length })}`);
+      }
+      lines.push(t("Click to zoom in"));
       tooltip
         .style("display", "block")
         .html(lines.join("<br/>"))
@@ -660,75 +2688,3790 @@ function renderDetail() {
       tooltip.style("display", "none");
     });
 
-  // narrative summary: newly exposed + concentration & rank
-  const current = data.find(d => d.buffer_km === state.buffer);
-  const key = keyYearBuffer(state.year, state.buffer);
-  const rankMap = rankByYearBuffer.get(key);
-  const rank = rankMap ? rankMap.get(iso3) : null;
-  const denom = rankMap ? rankMap.size : null;
-  const pctRank = rank && denom ? ((rank / denom) * 100).toFixed(0) : null;
+  layer
+    .selectAll("circle.plant")
+    .data(
+      clusters.filter(c => c.plants.length === 1).map(c => c.plants[0]),
+      d => d.plant_id
+    )
+    .join(enter =>
+      enter
+        .append("circle")
+        .attr("class", "plant")
+        .attr("fill", "rgba(0, 0, 0, 0.15)")
+        .attr("stroke", "rgba(0, 0, 0, 0.7)")
+        .attr("stroke-width", 0.6)
+        .attr("vector-effect", "non-scaling-stroke")
+    )
+    .attr("cx", d => projection([d.lon, d.lat])[0])
+    .attr("cy", d => projection([d.lon, d.lat])[1])
+    .classed("hovered", false)
+    .classed("selected", d => d.plant_id === state.selectedPlantId)
+    .classed("neighbour", d => neighbours.has(d.plant_id))
+    .classed("story-highlight", d => highlighted.has(d.plant_id))
+    .on("click", (event, d) => selectPlant(d.plant_id, false))
+    .on("mouseenter", (event, d) => highlightPlant(d.plant_id))
+    .on("mouseleave", () => highlightPlant(null))
+    .on("mousemove", (event, d) => {
+      const lines = [
+        `<strong>${escapeHtml(d.plant)}</strong> (${escapeHtml(d.country)})`,
+        t("Reactors: {count}", { count: d.num_reactors }),
+        plantPopulationLine(plantPop(d), year, buffer)
+      ];
+      if (state.popType === "total") {
+        const urban = plantPop(d, "urban");
+        const rural = plantPop(d, "rural");
+        if (urban != null && rural != null) {
+          lines.push(
+            t("Urban / rural: {urban} / {rural}", {
+              urban: formatPeople(urban),
+              rural: formatPeople(rural)
+            })
+          );
+        }
+      }
+      const prevYear = exposureIndex().previousYear(year);
+      const change =
+        prevYear != null && d.iso3
+          ? plantChanges([d.iso3], year, prevYear, buffer).find(c => c.plant === d)
+          : null;
+      if (change) {
+        const params = { year: prevYear, people: formatSignedPeople(change.change) };
+        lines.push(
+          change.cause === "opening"
+            ? t("Came online since {year}: {people}", params)
+            : change.cause === "closure"
+              ? t("Closed since {year}: {people}", params)
+              : change.closed
+                ? t("Population change since {year}: {people} (shut down in this interval)", params)
+                : t("Population change since {year}: {people}", params)
+        );
+      }
+      if (annual) {
+        lines.push(`<em>${t("Population {source}", { source: censusSourceLabel(source) })}</em>`);
+      }
+      const overlap = d.iso3
+        ? overlapShares(countryPlants(d.iso3, year), buffer).get(d.plant_id)
+        : null;
+      if (overlap?.neighbours) {
+        lines.push(
+          t(
+            overlap.neighbours > 1
+              ? "Buffer overlaps {count} other plants in {country}; ~{share} of its area is also near another plant"
+              : "Buffer overlaps {count} other plant in {country}; ~{share} of its area is also near another plant",
+            { count: overlap.neighbours, country: escapeHtml(d.country), share: formatPct(overlap.covered * 100) }
+          )
+        );
+      }
+      lines.push(...plantReactorLines(d, year));
+      tooltip
+        .style("display", "block")
+        .html(lines.join("<br/>"))
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY + 12 + "px");
+    })
+    .on("mouseout", () => {
+      tooltip.style("display", "none");
+    });
 
-  const pieces = [];
+  resizePlantLayer(layer, plantPop, k);
+  layer.selectAll("circle.plant.selected").raise();
 
-  if (current) {
-    pieces.push(
-      `${name} — in ${state.year}, about ${current.pct_near.toFixed(
-        1
-      )}% of people live within ${state.buffer} km of a nuclear plant.`
-    );
+  keyboardNav(`${nav}plants`, layer.selectAll("circle.plant, g.plant-cluster"), {
+    key: d => (d.plants ? `cluster ${d.key}` : d.plant_id),
+    position: d => (d.plants ? [d.x, d.y] : projection([d.lon, d.lat])),
+    label: d =>
+      d.plants
+        ? t("Cluster of {count} plants, {people} people; press Enter to zoom in", {
+            count: d.plants.length,
+            people: formatPeople(d.pop)
+          })
+        : `${d.plant}, ${d.country}`,
+    role: "button",
+    selected: d =>
+      d.plants
+        ? t("Zoomed in on {count} plants", { count: d.plants.length })
+        : state.selectedPlantId === d.plant_id
+          ? t("Selected {name}", { name: d.plant })
+          : t("Deselected {name}", { name: d.plant })
+  });
+}
+
+// radii in screen pixels whatever the zoom; crossing a clustering level
+// regroups the plants instead
+function resizePlants(k) {
+  if (!state.showPlants) return;
+  if (clusterLevel(k) !== plantsG.node().__clusterLevel__) {
+    renderPlants();
+    return;
   }
+  mapViews().forEach(({ year, buffer }, i) =>
+    resizePlantLayer(mapLayers[i].plantsG, visiblePlants(year, buffer).plantPop, k)
+  );
+}
 
-  // change vs previous decade at current buffer
-  if (state.year !== 1990 && current) {
-    const prevYear = state.year - 10;
-    const prevRow = rows.find(
-      d => d.year === prevYear && d.buffer_km === state.buffer
+function resizePlantLayer(layer, plantPop, k) {
+  const size = layer.node().__plantSize__;
+  layer.selectAll("circle.plant").attr("r", d => size(plantPop(d)) / k);
+  layer
+    .selectAll("g.plant-cluster")
+    .call(g => g.select("circle").attr("r", d => Math.min(size(d.pop), maxClusterRadius) / k))
+    .call(g => g.select("text").attr("font-size", 9 / k));
+}
+
+// zoom in far enough to pull a cluster's plants apart
+function zoomToCluster(cluster) {
+  const k = Math.min(6, 2 ** ((clusterLevel(d3.zoomTransform(mapSvg.node()).k) + 2) / 2));
+  mapSvg
+    .transition()
+    .duration(600)
+    .call(
+      mapG.node().__zoomBehavior__.transform,
+      d3.zoomIdentity
+        .translate(mapWidth / 2, mapHeight / 2)
+        .scale(k)
+        .translate(-cluster.x, -cluster.y)
     );
-    if (prevRow) {
-      const deltaPeople = current.pop_near - prevRow.pop_near;
-      const deltaPct = current.pct_near - prevRow.pct_near;
-      if (deltaPeople > 0 || deltaPct !== 0) {
-        pieces.push(
-          `Compared with ${prevYear}, this is ${
-            deltaPeople > 0 ? "an increase" : "no change"
-          } of ${(deltaPeople / 1e6).toFixed(
-            2
-          )}M people (${deltaPct >= 0 ? "+" : ""}${deltaPct.toFixed(
-            1
-          )} percentage points) living near plants.`
-        );
-      }
-    }
-  }
+}
 
-  // global rank at selected buffer
-  if (pctRank && rank) {
-    pieces.push(
-      `This places ${name} around the top ${pctRank}% most exposed countries at ${state.buffer} km (rank ${rank} of ${denom}).`
+// Reactor overlay
+function reactorStatusGroup(status) {
+  if (status === "Operational") return "operational";
+  if (status === "Under Construction") return "construction";
+  return "shutdown"; // permanent / long-term shutdown, terminated projects
+}
+
+const colorReactorType = d3
+  .scaleOrdinal()
+  .domain(reactorTypes)
+  .range(["#e41a1c", "#377eb8", "#4daf4a", "#984ea3", "#ff7f00", "#a65628", "#999999"]);
+
+const reactorSymbolType = {
+  operational: d3.symbolDiamond,
+  shutdown: d3.symbolSquare,
+  construction: d3.symbolTriangle
+};
+
+// month and year in the UI language, e.g. "Mar 1974" or "mars 1974"
+function formatReactorDate(date) {
+  return new Intl.DateTimeFormat(locale.code, { month: "short", year: "numeric", timeZone: "UTC" }).format(date);
+}
+
+// current status, or the status in the selected year on the annual timeline
+function reactorStatus(reactor, year = state.year) {
+  return state.timeline === "annual"
+    ? reactorStatusAt(reactor, year)
+    : reactorStatusGroup(reactor.status);
+}
+
+// current capacity, or the reference capacity for the selected year
+function reactorCapacity(reactor, year = state.year) {
+  if (state.timeline !== "annual") return reactor.capacity_mw;
+  return reactor[`cap_${year}`] || null;
+}
+
+// tooltip lines listing a plant's reactors and their capacities
+function plantReactorLines(plant, year = state.year) {
+  const reactors = (reactorsByPlant.get(plant.plant_id) || []).filter(
+    r => reactorStatus(r, year) != null
+  );
+  if (!reactors.length) return [];
+
+  const maxListed = 10;
+  const totalCapacity =
+    state.timeline === "annual"
+      ? d3.sum(reactors, r => (reactorStatus(r, year) === "operational" ? reactorCapacity(r, year) : 0))
+      : reactors[0].plant_power_mw;
+  const lines = [t("Total capacity: {capacity}", { capacity: formatCapacity(totalCapacity || null) })];
+  reactors.slice(0, maxListed).forEach(r => {
+    const cap = formatCapacity(reactorCapacity(r, year));
+    lines.push(
+      `&nbsp;&nbsp;${escapeHtml(r.reactor)}: ${cap}, ${escapeHtml(r.type_code)}, ${t(reactorStatusLabel[reactorStatus(r, year)]).toLowerCase()}`
     );
+  });
+  if (reactors.length > maxListed) {
+    lines.push(`&nbsp;&nbsp;${t("…and {count} more", { count: reactors.length - maxListed })}`);
   }
+  return lines;
+}
 
-  // distance concentration (Q3)
-  const nearRow = data.find(d => d.buffer_km === 30);
-  const farRow = data.find(d => d.buffer_km === 300);
-  if (nearRow && farRow && farRow.pct_near > 0) {
-    const concentration = nearRow.pct_near / farRow.pct_near;
-    if (concentration > 0.7) {
-      pieces.push(
-        "Exposure is highly concentrated close to plants: most people living near nuclear plants are within 30 km."
-      );
-    } else if (concentration < 0.3) {
-      pieces.push(
-        "Exposure is mostly from people further away: only a small share of exposed people are within 30 km."
-      );
-    } else {
-      pieces.push(
-        "Exposure is fairly evenly spread between people very close to plants and those further out."
-      );
-    }
+function renderReactors() {
+  reactorLegend.style("display", state.showReactors ? null : "none");
+  const views = mapViews();
+  mapLayers.forEach(({ reactorsG }, i) => renderReactorLayer(reactorsG, views[i]));
+}
+
+// one map's reactors, with their status in its view's year
+function renderReactorLayer(layer, view) {
+  if (!state.showReactors || !view) {
+    layer.selectAll("*").remove();
+    return;
   }
 
-  detailSummary.text(pieces.join(" "));
+  const projection = mapG.node().__projection__;
+  if (!projection) return;
+
+  const { year } = view;
+  const rows = reactorRows.filter(
+    d =>
+      d.lat != null &&
+      d.lon != null &&
+      pointVisible(d.lon, d.lat) &&
+      state.reactorStatuses.includes(reactorStatus(d, year))
+  );
+
+  // fan out reactors that share a site so each symbol stays visible
+  const offsets = new Map();
+  d3.group(rows, d => `${d.lat},${d.lon}`).forEach(site => {
+    const radius = site.length > 1 ? 1 + site.length * 0.15 : 0;
+    site.forEach((d, i) => {
+      const angle = (2 * Math.PI * i) / site.length;
+      offsets.set(d.reactor_id, [radius * Math.cos(angle), radius * Math.sin(angle)]);
+    });
+  });
+  layer.node().__reactorOffsets__ = offsets;
+
+  const symbol = d3.symbol().size(7);
+
+  layer
+    .selectAll("path.reactor")
+    .data(rows, d => d.reactor_id)
+    .join(enter => enter.append("path").attr("class", "reactor").attr("stroke-width", 0.4))
+    .attr("d", d => symbol.type(reactorSymbolType[reactorStatus(d, year)])())
+    .attr("fill", d =>
+      reactorStatus(d, year) === "shutdown" ? "#fff" : colorReactorType(d.type_code)
+    )
+    .attr("stroke", d => colorReactorType(d.type_code))
+    .on("mousemove", (event, d) => {
+      const capacity = reactorCapacity(d, year);
+      const lines = [
+        `<strong>${escapeHtml(d.reactor)}</strong> (${escapeHtml(d.plant)}, ${escapeHtml(d.country)})`,
+        t("Type: {type}", { type: t(d.type || reactorTypeLabel.Other) }),
+        state.timeline === "annual"
+          ? t("Status in {year}: {status}", { year, status: t(reactorStatusLabel[reactorStatus(d, year)]) })
+          : t("Status: {status}", { status: t(d.status) }),
+        t("Capacity: {capacity}", { capacity: formatCapacity(capacity) })
+      ];
+      if (d.start_date) lines.push(t("Construction start: {date}", { date: formatReactorDate(d.start_date) }));
+      if (d.grid_date) lines.push(t("Grid connection: {date}", { date: formatReactorDate(d.grid_date) }));
+      if (d.shutdown) lines.push(t("Shutdown: {date}", { date: formatReactorDate(d.shutdown) }));
+      tooltip
+        .style("display", "block")
+        .html(lines.join("<br/>"))
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY + 12 + "px");
+    })
+    .on("mouseout", () => {
+      tooltip.style("display", "none");
+    });
+  resizeReactorLayer(layer, d3.zoomTransform(mapSvg.node()).k);
+}
+
+function resizeReactors(k) {
+  if (!state.showReactors) return;
+  mapLayers.forEach(({ reactorsG }) => resizeReactorLayer(reactorsG, k));
+}
+
+// symbols (and their fan-out around a shared site) keep their size on screen
+function resizeReactorLayer(layer, k) {
+  const projection = mapG.node().__projection__;
+  const offsets = layer.node().__reactorOffsets__;
+  if (!projection || !offsets) return;
+  layer.selectAll("path.reactor").attr("transform", d => {
+    const [x, y] = projection([d.lon, d.lat]);
+    const [dx, dy] = offsets.get(d.reactor_id);
+    return `translate(${x + dx / k},${y + dy / k}) scale(${1 / k})`;
+  });
+}
+
+function initReactorLegend() {
+  const item = reactorLegend
+    .append("div")
+    .attr("class", "legend-row")
+    .selectAll("span.legend-item")
+    .data(reactorTypes)
+    .join("span")
+    .attr("class", "legend-item");
+
+  item
+    .append("span")
+    .attr("class", "legend-swatch")
+    .style("background", d => colorReactorType(d));
+
+  item.append("span").attr("data-i18n", "").text(d => reactorTypeLabel[d]);
+
+  const statusItem = reactorLegend
+    .append("div")
+    .attr("class", "legend-row")
+    .selectAll("span.legend-item")
+    .data(reactorStatusGroups)
+    .join("span")
+    .attr("class", "legend-item");
+
+  statusItem
+    .append("svg")
+    .attr("width", 12)
+    .attr("height", 12)
+    .append("path")
+    .attr("transform", "translate(6,6)")
+    .attr("d", d => d3.symbol().type(reactorSymbolType[d]).size(50)())
+    .attr("fill", d => (d === "shutdown" ? "#fff" : "#555"))
+    .attr("stroke", "#555");
+
+  statusItem.append("span").attr("data-i18n", "").text(d => reactorStatusLabel[d]);
+}
+
+// Detail panel (Q3: how exposure is distributed across distances)
+function renderDetail() {
+  const ix = exposureIndex();
+  const countries = selectedCountries().filter(
+    d => ix.byCountry.has(d) || whatifPlantsIn(d).length
+  );
+  colorCountry.domain(countries);
+  if (countries.length > 1) {
+    renderComparison(countries);
+    return;
+  }
+
+  detailG.selectAll("rect.cmp-bar").remove();
+  detailG.selectAll("rect.scenario-bar, line.unique-mark").remove();
+  detailSvg.select(".country-legend").style("display", "none");
+  detailSvg.select(".buffer-legend").style("display", null);
+  compareSvg.style("display", "none");
+  compareTable.selectAll("*").remove();
+  trendSvg.style("display", "none");
+  trendTable.selectAll("*").remove();
+  worldSummary.style("display", "none");
+  detailSvg.style("display", null);
+
+  const iso3 = countries[0];
+  if (!iso3 && state.selectedRegion && regionIndex().byCountry.has(state.selectedRegion)) {
+    renderProfile(regionIndex(), state.selectedRegion, "region");
+    return;
+  }
+  if (!iso3) {
+    detailTitle.text(
+      state.level === "region"
+        ? t("Click a region to see its exposure profile and its countries")
+        : t("Click a country to see its exposure profile (shift-click to compare up to {count})", {
+            count: maxCompare
+          })
+    );
+    detailSummary.text("");
+    detailG.selectAll(".bar").remove();
+    detailTable.selectAll("*").remove();
+    detailSvg.style("display", "none");
+    renderWorldSummary(ix);
+    return;
+  }
+
+  renderProfile(ix, iso3, "country");
+}
+
+// World overview while nothing is selected: totals per buffer and census
+// year, the leading countries for the current year and buffer, and plant
+// counts by region. Entries select their country (or filter the plant table).
+const summaryTop = 10;
+
+function renderWorldSummary(ix) {
+  worldSummary.style("display", null);
+  const prevYear = ix.previousYear(state.year);
+  const current = ix.rows.filter(
+    d => d.year === state.year && d.buffer_km === state.buffer && d.num_plants > 0
+  );
+  const top = (rows, value) =>
+    rows
+      .filter(d => value(d) != null)
+      .sort((a, b) => d3.descending(value(a), value(b)))
+      .slice(0, summaryTop);
+  const gain = d => ix.deltaByKey.get(keyDelta(d.iso3, d.year, d.buffer_km)) ?? null;
+
+  // totals over countries for the census years; within a country people
+  // near several plants count once, across countries they do not
+  const totalYears = years.filter(y => ix.years.includes(y));
+  const totals = d3.rollup(
+    ix.rows.filter(d => totalYears.includes(d.year)),
+    rows => d3.sum(rows, d => uniquePopNear(d)),
+    d => d.year,
+    d => d.buffer_km
+  );
+  const totalsBlock = summaryBlock(
+    "summary-totals",
+    t("{Noun} near plants, summed over countries", nounParams())
+  );
+  totalsBlock
+    .selectAll("p.summary-note")
+    .data([null])
+    .join("p")
+    .attr("class", "summary-note")
+    .text(
+      t(
+        "People near several plants of one country count once; near plants of several countries, once per country. Click a figure to show that year and distance."
+      )
+    );
+  const table = totalsBlock
+    .selectAll("table")
+    .data([null])
+    .join(enter => {
+      const table = enter.append("table");
+      table.append("thead").append("tr");
+      table.append("tbody");
+      return table;
+    });
+  table
+    .select("thead tr")
+    .selectAll("th")
+    .data([t("Year"), ...buffers.map(b => formatDistance(b))])
+    .join("th")
+    .attr("scope", "col")
+    .text(d => d);
+  table
+    .select("tbody")
+    .selectAll("tr")
+    .data(totalYears)
+    .join(enter => {
+      const tr = enter.append("tr");
+      tr.append("th").attr("scope", "row");
+      return tr;
+    })
+    .call(tr => tr.select("th").text(d => d))
+    .selectAll("td")
+    .data(year => buffers.map(buffer => ({ year, buffer, total: totals.get(year)?.get(buffer) })))
+    .join(enter => {
+      const td = enter.append("td");
+      td.append("button").attr("type", "button").attr("class", "link-button");
+      return td;
+    })
+    .classed("current", d => d.year === state.year && d.buffer === state.buffer)
+    .select("button")
+    .text(d => (d.total == null ? "–" : formatPeople(d.total)))
+    .attr("aria-label", d => `${d.year}, ${formatDistance(d.buffer)}: ${d.total == null ? t("no data") : formatPeople(d.total)}`)
+    .on("click", (event, d) => {
+      state.year = d.year;
+      state.buffer = d.buffer;
+      syncControls();
+      renderAll();
+    });
+
+  const at = `${state.year}, ${formatDistance(state.buffer)}`;
+  summaryList(summaryBlock("summary-pct", t("Highest share near plants ({at})", { at })), top(current, d => pctNear(d)), d =>
+    formatPct(pctNear(d))
+  );
+  summaryList(summaryBlock("summary-pop", t("Most people near plants ({at})", { at })), top(current, popNear), d =>
+    formatPeople(popNear(d))
+  );
+  summaryList(
+    summaryBlock(
+      "summary-gain",
+      prevYear == null
+        ? t("Biggest gainers (no earlier year to compare with {year})", { year: state.year })
+        : t("Biggest gainers since {year} ({distance})", { year: prevYear, distance: formatDistance(state.buffer) })
+    ),
+    top(current, gain).filter(d => gain(d) > 0),
+    d => formatSignedPeople(gain(d))
+  );
+
+  // plants operating in the current year by region; a click filters the plant table
+  const byRegion = d3
+    .rollups(
+      visiblePlants().rows.filter(d => d.region),
+      rows => rows.length,
+      d => d.region
+    )
+    .sort((a, b) => d3.descending(a[1], b[1]));
+  summaryBlock("summary-regions", t("Plants by region ({year})", { year: state.year }))
+    .selectAll("ol")
+    .data([null])
+    .join("ol")
+    .selectAll("li")
+    .data(byRegion, d => d[0])
+    .join(enter => {
+      const li = enter.append("li");
+      li.append("button").attr("type", "button").attr("class", "link-button");
+      li.append("span").attr("class", "summary-value");
+      return li;
+    })
+    .order()
+    .call(li =>
+      li
+        .select("button")
+        .text(d => d[0])
+        .attr("aria-label", d =>
+          t(d[1] > 1 ? "Show the {count} plants in {region} in the plant table" : "Show the plant in {region} in the plant table", {
+            count: d[1],
+            region: d[0]
+          })
+        )
+        .on("click", (event, d) => {
+          plantRegionSelect.property("value", d[0]);
+          renderPlantTable();
+        })
+    )
+    .call(li => li.select("span.summary-value").text(d => d[1]));
+}
+
+// one titled block of the world overview, created on first use
+function summaryBlock(cls, title) {
+  const block = worldSummary
+    .selectAll(`div.${cls}`)
+    .data([null])
+    .join(enter => {
+      const div = enter.append("div").attr("class", `summary-block ${cls}`);
+      div.append("h3");
+      return div;
+    });
+  block.select("h3").text(title);
+  return block;
+}
+
+// ranked list of countries; each name selects its country
+function summaryList(block, rows, value) {
+  block
+    .selectAll("ol")
+    .data([null])
+    .join("ol")
+    .selectAll("li")
+    .data(rows, d => d.iso3)
+    .join(enter => {
+      const li = enter.append("li");
+      li.append("button").attr("type", "button").attr("class", "link-button");
+      li.append("span").attr("class", "summary-value");
+      return li;
+    })
+    .order()
+    .call(li =>
+      li
+        .select("button")
+        .text(d => d.country)
+        .on("click", (event, d) => selectFromSummary(d.iso3))
+    )
+    .call(li => li.select("span.summary-value").text(value));
+  block
+    .selectAll("p.summary-empty")
+    .data(rows.length ? [] : [null])
+    .join("p")
+    .attr("class", "summary-empty")
+    .text(t("None."));
+}
+
+// in regional mode the country's region is drilled into first, as a map click would
+function selectFromSummary(iso3) {
+  const region = regionByIso3.get(iso3);
+  if (state.level === "region" && region && region !== state.selectedRegion) {
+    state.selectedRegion = region;
+    syncRegionControls();
+    mapSvg.call(mapG.node().__zoomBehavior__.transform, regionTransform(region));
+  }
+  setSelection([iso3]);
+  renderAll();
+}
+
+// Bars per buffer and the narrative for one country, or one region when
+// `kind` is "region" (rows from regionIndex())
+function renderProfile(ix, iso3, kind) {
+  // a country may only have hypothetical plants
+  const rows = ix.byCountry.get(iso3) || [];
+  const name = rows.length ? rows[0].country : whatifPlantsIn(iso3)[0].country;
+  const scenario =
+    kind === "country" ? buffers.map(b => scenarioRow(iso3, state.year, b)).filter(Boolean) : [];
+
+  detailTitle.text(popTypeLabel(t("Exposure profile in {name}, {year}", { name, year: state.year })));
+
+  // rows for current year (one per buffer)
+  const yearRows = rows.filter(d => d.year === state.year);
+  const data = buffers.map(b => {
+    const r = yearRows.find(d => d.buffer_km === b);
+    return {
+      buffer_km: b,
+      pct_near: (r && pctNear(r)) || 0,
+      pop_near: (r && popNear(r)) || 0,
+      pct_urban: r ? pctNear(r, "urban") : null,
+      pct_rural: r ? pctNear(r, "rural") : null,
+      pop_urban: r ? r.pop_near_urban : null,
+      pop_rural: r ? r.pop_near_rural : null,
+      pop_unique: kind === "country" && r ? uniquePopNear(r) : null,
+      num_plants: r ? r.num_plants : 0
+    };
+  });
+
+  // totals are drawn as stacked urban + rural segments when the split exists
+  const stacked = state.popType === "total";
+  const segments = data.flatMap(d => {
+    if (stacked && d.pct_urban != null && d.pct_rural != null) {
+      return [
+        { ...d, part: "urban", y0: 0, y1: d.pct_urban },
+        { ...d, part: "rural", y0: d.pct_urban, y1: d.pct_urban + d.pct_rural }
+      ];
+    }
+    return [{ ...d, part: state.popType, y0: 0, y1: d.pct_near }];
+  });
+
+  const maxPct =
+    d3.max([...segments.map(d => d.y1), ...scenario.map(d => pctNear(d))], d => d || 0) || 1;
+  yDetail.domain([0, maxPct * 1.1]);
+
+  detailSvg.select(".part-legend").style("display", stacked ? null : "none");
+
+  detailG
+    .select(".x-axis")
+    .call(d3.axisBottom(xDetail).tickFormat(formatDistance));
+
+  detailG
+    .select(".y-axis")
+    .call(d3.axisLeft(yDetail).ticks(5).tickFormat(formatPct));
+
+  const bars = detailG
+    .selectAll("rect.bar")
+    .data(segments, d => `${d.buffer_km}_${d.part}`);
+
+  bars
+    .join(
+      enter =>
+        enter
+          .append("rect")
+          .attr("class", "bar")
+          .attr("x", d => xDetail(d.buffer_km))
+          .attr("width", xDetail.bandwidth())
+          .attr("y", d => yDetail(d.y1))
+          .attr("height", d => yDetail(d.y0) - yDetail(d.y1))
+          .attr("fill", d => partColor(d.buffer_km, d.part)),
+      update =>
+        update
+          .transition()
+          .duration(400)
+          .attr("x", d => xDetail(d.buffer_km))
+          .attr("width", xDetail.bandwidth())
+          .attr("y", d => yDetail(d.y1))
+          .attr("height", d => yDetail(d.y0) - yDetail(d.y1))
+    );
+
+  // adjusted scenario: dashed outline at the total with hypothetical plants,
+  // kept under the real bars so both keep their tooltips
+  detailG
+    .selectAll("rect.scenario-bar")
+    .data(scenario, d => d.buffer_km)
+    .join("rect")
+    .attr("class", "scenario-bar")
+    .attr("x", d => xDetail(d.buffer_km))
+    .attr("width", xDetail.bandwidth())
+    .attr("y", d => yDetail(pctNear(d) || 0))
+    .attr("height", d => yDetail(0) - yDetail(pctNear(d) || 0))
+    .attr("fill", "rgba(217, 95, 2, 0.08)")
+    .attr("stroke", "#d95f02")
+    .attr("stroke-dasharray", "4,2")
+    .lower()
+    .on("mousemove", (event, d) => {
+      const base = data.find(b => b.buffer_km === d.buffer_km);
+      const lines = [
+        `<strong>${escapeHtml(name)}</strong>, ${t("adjusted scenario")}`,
+        barShareLine(d.buffer_km, pctNear(d)),
+        `${barPeopleLine(popNear(d))} (${formatSignedPeople(popNear(d) - base.pop_near)})`,
+        t("Plants incl. hypothetical: {count}", { count: d.num_plants })
+      ];
+      tooltip
+        .style("display", "block")
+        .html(lines.join("<br/>"))
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY + 12 + "px");
+    })
+    .on("mouseout", () => {
+      tooltip.style("display", "none");
+    });
+
+  // people counted once: a tick across the bar where buffers overlap
+  const uniquePct = d => (d.pct_near * d.pop_unique) / d.pop_near;
+  detailG
+    .selectAll("line.unique-mark")
+    .data(
+      data.filter(d => d.pop_unique != null && d.pop_unique < d.pop_near * 0.999),
+      d => d.buffer_km
+    )
+    .join("line")
+    .attr("class", "unique-mark")
+    .attr("x1", d => xDetail(d.buffer_km) - 3)
+    .attr("x2", d => xDetail(d.buffer_km) + xDetail.bandwidth() + 3)
+    .attr("y1", d => yDetail(uniquePct(d)))
+    .attr("y2", d => yDetail(uniquePct(d)))
+    .attr("stroke", "#222")
+    .attr("stroke-width", 1.5)
+    .attr("stroke-dasharray", "2,2")
+    .attr("pointer-events", "none");
+
+  // bar tooltip
+  const barSelection = detailG.selectAll("rect.bar");
+  barSelection
+    .on("mousemove", (event, d) => {
+      const lines = [
+        `<strong>${escapeHtml(name)}</strong>`,
+        barShareLine(d.buffer_km, d.pct_near),
+        barPeopleLine(d.pop_near)
+      ];
+      if (d.pop_unique != null && d.pop_unique < d.pop_near * 0.999) {
+        lines.push(t("Counted once (dashed line): {people}", { people: formatPeople(d.pop_unique) }));
+      }
+      if (stacked && d.pop_urban != null && d.pop_rural != null) {
+        lines.push(
+          t("Urban: {people} ({share})", { people: formatPeople(d.pop_urban), share: formatPct(d.pct_urban) }),
+          t("Rural: {people} ({share})", { people: formatPeople(d.pop_rural), share: formatPct(d.pct_rural) })
+        );
+      }
+      lines.push(t("Plants: {count}", { count: d.num_plants }));
+      tooltip
+        .style("display", "block")
+        .html(lines.join("<br/>"))
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY + 12 + "px");
+    })
+    .on("mouseout", () => {
+      tooltip.style("display", "none");
+    });
+
+  keyboardNav("bars", barSelection, {
+    key: d => `${d.buffer_km}_${d.part}`,
+    position: d => [xDetail(d.buffer_km), yDetail((d.y0 + d.y1) / 2)],
+    label: d =>
+      `${formatDistance(d.buffer_km)}${d.part === state.popType ? "" : `, ${t(d.part)}`}: ${formatPct(d.y1 - d.y0)}`
+  });
+
+  const tableColumns = [
+    { label: t("Distance"), value: d => formatDistance(d.buffer_km) },
+    { label: popTypeLabel(t("Share")), value: d => formatPct(d.pct_near) },
+    { label: t("{Noun} near plants", nounParams()), value: d => formatPeople(d.pop_near) },
+    { label: t("Urban"), value: d => formatPeople(d.pop_urban) },
+    { label: t("Rural"), value: d => formatPeople(d.pop_rural) },
+    { label: t("Counted once"), value: d => formatPeople(d.pop_unique) },
+    { label: t("Plants"), value: d => d.num_plants }
+  ];
+  if (scenario.length) {
+    tableColumns.push({
+      label: t("Adjusted scenario share"),
+      value: d => formatPct(pctNear(scenario.find(r => r.buffer_km === d.buffer_km)))
+    });
+  }
+  renderDataTable(detailTable, detailTitle.text(), tableColumns, data);
+
+  // narrative summary: newly exposed + concentration & rank
+  const current = data.find(d => d.buffer_km === state.buffer);
+  const key = keyYearBuffer(state.year, state.buffer);
+  const rankMap = ix.rankByYearBuffer.get(key);
+  const rank = rankMap ? rankMap.get(iso3) : null;
+  const denom = rankMap ? rankMap.size : null;
+  const pctRank = rank && denom ? ((rank / denom) * 100).toFixed(0) : null;
+
+  const pieces = [];
+
+  const distance = formatDistance(state.buffer);
+  if (current && yearRows.length) {
+    pieces.push(
+      t(
+        state.popType === "total"
+          ? "{name} — in {year}, about {share} of people live within {distance} of a nuclear plant."
+          : "{name} — in {year}, about {share} of people are {noun} living within {distance} of a nuclear plant.",
+        { ...nounParams(), name, share: formatPct(current.pct_near), distance }
+      )
+    );
+    if (stacked && current.pop_urban != null && current.pop_near > 0) {
+      const urbanShare = (current.pop_urban / current.pop_near) * 100;
+      pieces.push(
+        t("{urban} of them live in urban areas and {rural} in rural areas.", {
+          urban: formatPct(urbanShare),
+          rural: formatPct(100 - urbanShare)
+        })
+      );
+    }
+  }
+
+  // summed per plant vs counted once
+  if (current && current.pop_unique != null && current.pop_near > 0) {
+    if (current.pop_unique < current.pop_near * 0.999) {
+      pieces.push(
+        t(
+          "These figures add up each plant's surroundings; counting people near several plants once gives about {unique} instead of {summed} ({share} double counted, dashed lines).",
+          {
+            unique: formatPeople(current.pop_unique),
+            summed: formatPeople(current.pop_near),
+            share: formatPct((1 - current.pop_unique / current.pop_near) * 100)
+          }
+        )
+      );
+    } else {
+      pieces.push(t("No two plants' {distance} buffers overlap here, so nobody is counted twice.", { distance }));
+    }
+  }
+
+  // change vs previous decade at current buffer
+  const prevYear = ix.previousYear(state.year);
+  if (prevYear != null && current) {
+    const prevRow = rows.find(
+      d => d.year === prevYear && d.buffer_km === state.buffer
+    );
+    if (prevRow) {
+      const deltaPeople = current.pop_near - popNear(prevRow);
+      const deltaPct = current.pct_near - pctNear(prevRow);
+      const points =
+        Math.abs(deltaPct) < 0.05
+          ? t("under {value} percentage points", { value: numberFormat.format(".1f")(0.1) })
+          : t("{value} percentage points", { value: numberFormat.format("+.1f")(deltaPct) });
+      const params = { ...nounParams(), prevYear, people: formatPeople(Math.abs(deltaPeople)), points };
+      if (deltaPeople !== 0) {
+        pieces.push(
+          t(
+            deltaPeople > 0
+              ? "Compared with {prevYear}, this is an increase of {people} {noun} ({points}) living near plants."
+              : "Compared with {prevYear}, this is a decrease of {people} {noun} ({points}) living near plants.",
+            params
+          )
+        );
+      } else if (deltaPct !== 0) {
+        pieces.push(t("Compared with {prevYear}, the same number of {noun} live near plants ({points} as a share).", params));
+      }
+      const attribution = changeAttribution(
+        kind === "region" ? regionMembers(iso3) : [iso3],
+        prevYear
+      );
+      if (attribution) pieces.push(attribution);
+    }
+  }
+
+  // global rank at selected buffer, and the rank within the region
+  if (pctRank && rank) {
+    pieces.push(
+      t(
+        kind === "region"
+          ? "This places {name} around the top {top}% most exposed regions at {distance} (rank {rank} of {size})."
+          : "This places {name} around the top {top}% most exposed countries at {distance} (rank {rank} of {size}).",
+        { name, top: pctRank, distance, rank, size: denom }
+      )
+    );
+  }
+  if (kind === "country" && rankMap) {
+    const regional = regionRank(rankMap, iso3);
+    if (regional) {
+      pieces.push(
+        t("Within {region} it ranks {rank} of {size} countries.", {
+          region: regional.region,
+          rank: ordinal(regional.rank),
+          size: regional.size
+        })
+      );
+    }
+  }
+  if (kind === "region") {
+    const members = countriesByExposure(iso3);
+    if (members.length) {
+      pieces.push(
+        t("Most exposed countries here at {distance}: {countries}. Click a country on the map for its own profile.", {
+          distance,
+          countries: listPhrase(members.slice(0, 3).map(d => `${d.country} (${formatPct(pctNear(d))})`))
+        })
+      );
+    }
+  }
+
+  // distance concentration (Q3): nearest vs farthest buffer
+  const nearBuffer = buffers[0];
+  const farBuffer = buffers[buffers.length - 1];
+  const nearRow = data.find(d => d.buffer_km === nearBuffer);
+  const farRow = data.find(d => d.buffer_km === farBuffer);
+  if (nearBuffer !== farBuffer && nearRow && farRow && farRow.pct_near > 0) {
+    const concentration = nearRow.pct_near / farRow.pct_near;
+    const params = { near: formatDistance(nearBuffer), far: formatDistance(farBuffer) };
+    if (concentration > 0.7) {
+      pieces.push(
+        t(
+          "Exposure is highly concentrated close to plants: most people living within {far} of nuclear plants are within {near}.",
+          params
+        )
+      );
+    } else if (concentration < 0.3) {
+      pieces.push(
+        t(
+          "Exposure is mostly from people further away: only a small share of people within {far} are within {near}.",
+          params
+        )
+      );
+    } else {
+      pieces.push(t("Exposure is fairly evenly spread between people very close to plants and those further out."));
+    }
+  }
+
+  // what-if: the same buffer with the hypothetical plants added
+  const adjusted = scenario.find(d => d.buffer_km === state.buffer);
+  if (adjusted && current) {
+    const count = whatifPlantsIn(iso3).length;
+    const added = popNear(adjusted) - current.pop_near;
+    pieces.push(
+      t(
+        count > 1
+          ? "Adjusted scenario: with {count} hypothetical plants, about {share} of {noun} would live within {distance} ({change}, estimated from the nearest existing plants)."
+          : "Adjusted scenario: with 1 hypothetical plant, about {share} of {noun} would live within {distance} ({change}, estimated from the nearest existing plants).",
+        { ...nounParams(), count, share: formatPct(pctNear(adjusted)), distance, change: formatSignedPeople(added) }
+      )
+    );
+  }
+
+  // rank over the timeline at the selected buffer
+  const ranks = ix.years
+    .map(year => ({ year, rank: ix.rankByYearBuffer.get(keyYearBuffer(year, state.buffer))?.get(iso3) }))
+    .filter(d => d.rank != null && d.year <= state.year);
+  if (ranks.length > 1 && ranks[0].rank !== ranks[ranks.length - 1].rank) {
+    const first = ranks[0];
+    const last = ranks[ranks.length - 1];
+    pieces.push(
+      t(
+        last.rank < first.rank
+          ? "At {distance} its rank rose from {first} in {firstYear} to {last} in {lastYear}."
+          : "At {distance} its rank fell from {first} in {firstYear} to {last} in {lastYear}.",
+        {
+          distance,
+          first: ordinal(first.rank),
+          firstYear: first.year,
+          last: ordinal(last.rank),
+          lastYear: last.year
+        }
+      )
+    );
+  }
+
+  // annual figures: say how they were derived
+  const source = yearRows[0]?.source;
+  if (source) {
+    pieces.push(
+      t("Counts only plants operating in {year}; population {source}.", {
+        year: state.year,
+        source: censusSourceLabel(source)
+      })
+    );
+  }
+
+  detailSummary.text(pieces.join(" "));
+  if (rows.length) renderTrend(ix, iso3, name, kind);
+}
+
+// Share near plants over the timeline, one small panel per buffer (each with
+// its own scale, as the buffers differ by orders of magnitude), then the rank
+// among countries (or regions) with plants for every buffer
+function renderTrend(ix, iso3, name, kind) {
+  trendSvg.style("display", null);
+  const peers = kind === "region" ? "regions" : "countries";
+  const rankText = d =>
+    t(kind === "region" ? "{year}: ranked {rank} of {size} regions" : "{year}: ranked {rank} of {size} countries", d);
+  const columns = 3;
+  const cellWidth = innerDetailWidth / columns;
+  const panelHeight = trendCellHeight - 24;
+
+  const series = buffers.map(buffer => ({
+    buffer,
+    values: ix.years.map(year => {
+      const rankMap = ix.rankByYearBuffer.get(keyYearBuffer(year, buffer));
+      return {
+        year,
+        buffer,
+        pct: pctNear(ix.byKey.get(keyExposure(iso3, year, buffer))),
+        rank: rankMap?.get(iso3) ?? null,
+        size: rankMap?.size
+      };
+    })
+  }));
+  const dots = ix.years.length <= 10;
+  const x = d3
+    .scaleLinear()
+    .domain(d3.extent(ix.years))
+    .range([0, cellWidth - 24]);
+
+  const panels = trendG
+    .selectAll("g.trend-panel")
+    .data(series, d => d.buffer)
+    .join(enter => {
+      const g = enter.append("g").attr("class", "trend-panel");
+      g.append("line").attr("class", "baseline").attr("stroke", "#ccc");
+      g.append("path").attr("class", "trend-line").attr("fill", "none").attr("stroke-width", 1.8);
+      g.append("text").attr("class", "panel-title").attr("font-size", 10).attr("y", 8);
+      g.append("text").attr("class", "panel-years").attr("font-size", 9).attr("fill", "#777");
+      return g;
+    })
+    .attr("transform", (d, i) => `translate(${(i % columns) * cellWidth},${Math.floor(i / columns) * trendCellHeight})`);
+
+  panels.each(function (s) {
+    const panel = d3.select(this);
+    const values = s.values.filter(d => d.pct != null);
+    const y = d3
+      .scaleLinear()
+      .domain([0, (d3.max(values, d => d.pct) || 1) * 1.1])
+      .range([panelHeight + 12, 14]);
+    const current = s.values.find(d => d.year === state.year);
+
+    panel
+      .select("line.baseline")
+      .attr("x1", 0)
+      .attr("x2", x.range()[1])
+      .attr("y1", y(0))
+      .attr("y2", y(0));
+    panel
+      .select("path.trend-line")
+      .attr("stroke", colorBuffer(s.buffer))
+      .attr("d", d3.line().x(d => x(d.year)).y(d => y(d.pct))(values));
+    panel
+      .select("text.panel-title")
+      .attr("font-weight", s.buffer === state.buffer ? 600 : null)
+      .text(
+        current?.pct != null
+          ? t("{distance} · {share} in {year}", {
+              distance: formatDistance(s.buffer),
+              share: formatPct(current.pct),
+              year: state.year
+            })
+          : formatDistance(s.buffer)
+      );
+    panel
+      .select("text.panel-years")
+      .attr("y", panelHeight + 22)
+      .text(`${x.domain()[0]}–${x.domain()[1]}`);
+    panel
+      .selectAll("circle.trend-dot")
+      .data(dots ? values : values.filter(d => d.year === state.year), d => d.year)
+      .join("circle")
+      .attr("class", "trend-dot")
+      .attr("r", d => (d.year === state.year ? 3.5 : 2.5))
+      .attr("cx", d => x(d.year))
+      .attr("cy", d => y(d.pct))
+      .attr("fill", d => (d.year === state.year ? colorBuffer(s.buffer) : "#fff"))
+      .attr("stroke", colorBuffer(s.buffer))
+      .on("mousemove", (event, d) => {
+        tooltip
+          .style("display", "block")
+          .html(
+            `<strong>${escapeHtml(name)}</strong>, ${formatDistance(d.buffer)}<br/>${t("{year}: {share} of {noun}", {
+              ...nounParams(),
+              year: d.year,
+              share: formatPct(d.pct)
+            })}`
+          )
+          .style("left", event.pageX + 12 + "px")
+          .style("top", event.pageY + 12 + "px");
+      })
+      .on("mouseout", () => {
+        tooltip.style("display", "none");
+      });
+  });
+
+  // rank chart: 1 at the top; the selected buffer drawn over the others
+  const rankTop = Math.ceil(buffers.length / columns) * trendCellHeight + 24;
+  const maxRank = d3.max(series, s => d3.max(s.values, d => d.size)) || 1;
+  const xRank = x.copy().range([0, innerDetailWidth]);
+  const yRank = d3
+    .scaleLinear()
+    .domain([1, Math.max(2, maxRank)])
+    .range([rankTop, rankTop + trendRankHeight]);
+
+  trendG
+    .selectAll("g.rank-x-axis")
+    .data([null])
+    .join("g")
+    .attr("class", "rank-x-axis")
+    .attr("transform", `translate(0,${rankTop + trendRankHeight})`)
+    .call(
+      d3
+        .axisBottom(xRank)
+        .tickValues(dots ? ix.years : null)
+        .ticks(8)
+        .tickFormat(d3.format("d"))
+    );
+  trendG
+    .selectAll("g.rank-y-axis")
+    .data([null])
+    .join("g")
+    .attr("class", "rank-y-axis")
+    .call(
+      d3
+        .axisLeft(yRank)
+        .tickValues(d3.ticks(1, maxRank, 4).filter(Number.isInteger).concat(1))
+        .tickFormat(d3.format("d"))
+    );
+  trendG
+    .selectAll("text.rank-label")
+    .data([null])
+    .join("text")
+    .attr("class", "rank-label")
+    .attr("x", 0)
+    .attr("y", rankTop - 8)
+    .attr("font-size", 11)
+    .text(t("Rank among {peers} with plants (1 = highest share), by distance", { peers: t(peers) }));
+
+  const rankSeries = series
+    .map(s => ({ ...s, values: s.values.filter(d => d.rank != null) }))
+    .sort((a, b) => (a.buffer === state.buffer) - (b.buffer === state.buffer));
+  trendG
+    .selectAll("path.rank-line")
+    .data(rankSeries, d => d.buffer)
+    .join("path")
+    .attr("class", "rank-line")
+    .attr("fill", "none")
+    .attr("stroke", d => colorBuffer(d.buffer))
+    .attr("stroke-width", d => (d.buffer === state.buffer ? 2.5 : 1.2))
+    .attr("stroke-opacity", d => (d.buffer === state.buffer ? 1 : 0.35))
+    .attr("d", d => d3.line().x(v => xRank(v.year)).y(v => yRank(v.rank))(d.values))
+    .order();
+
+  const selectedRanks = rankSeries.find(s => s.buffer === state.buffer)?.values || [];
+  trendG
+    .selectAll("circle.rank-dot")
+    .data(dots ? selectedRanks : selectedRanks.filter(d => d.year === state.year), d => d.year)
+    .join("circle")
+    .attr("class", "rank-dot trend-dot")
+    .attr("r", 3.5)
+    .attr("cx", d => xRank(d.year))
+    .attr("cy", d => yRank(d.rank))
+    .attr("fill", colorBuffer(state.buffer))
+    .on("mousemove", (event, d) => {
+      tooltip
+        .style("display", "block")
+        .html(`<strong>${escapeHtml(name)}</strong>, ${formatDistance(d.buffer)}<br/>${rankText(d)}`)
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY + 12 + "px");
+    })
+    .on("mouseout", () => {
+      tooltip.style("display", "none");
+    });
+
+  trendG
+    .selectAll("line.year-marker")
+    .data([null])
+    .join("line")
+    .attr("class", "year-marker")
+    .attr("stroke", "#999")
+    .attr("stroke-dasharray", "3,3")
+    .attr("x1", xRank(state.year))
+    .attr("x2", xRank(state.year))
+    .attr("y1", rankTop)
+    .attr("y2", rankTop + trendRankHeight);
+
+  keyboardNav("trend-rank", trendG.selectAll("circle.rank-dot"), {
+    key: d => d.year,
+    position: d => [xRank(d.year), yRank(d.rank)],
+    label: d => `${name}, ${formatDistance(d.buffer)}, ${rankText(d)}`
+  });
+
+  renderDataTable(
+    trendTable,
+    t("{name}: share of {noun} near plants by distance over time, and rank at {distance}", {
+      ...nounParams(),
+      name,
+      distance: formatDistance(state.buffer)
+    }),
+    [
+      { label: t("Year"), value: d => d.year },
+      ...series.map(s => ({
+        label: formatDistance(s.buffer),
+        value: d => formatPct(s.values.find(v => v.year === d.year)?.pct)
+      })),
+      {
+        label: t("Rank at {distance}", { distance: formatDistance(state.buffer) }),
+        value: d => {
+          const v = selectedRanks.find(r => r.year === d.year);
+          return v ? t("{rank} of {size}", v) : null;
+        }
+      }
+    ],
+    ix.years.map(year => ({ year }))
+  );
+}
+
+// Where a change since `prevYear` came from, plant by plant: plants opening
+// and closing on the annual timeline, population change around the plants
+// otherwise. Census rows keep counting plants after they shut down, so those
+// are named instead.
+function changeAttribution(iso3s, prevYear) {
+  const changes = plantChanges(iso3s, state.year, prevYear, state.buffer);
+  if (!changes.length) return null;
+  const millions = v => `${formatPeople(Math.abs(v))}`;
+  const byCause = d3.rollup(changes, v => d3.sum(v, d => d.change), d => d.cause);
+  const parts = [];
+
+  const opened = changes.filter(d => d.cause === "opening");
+  if (opened.length) {
+    parts.push(
+      t(opened.length > 1 ? "{count} plants coming online added {people}" : "1 plant coming online added {people}", {
+        count: opened.length,
+        people: millions(byCause.get("opening"))
+      })
+    );
+  }
+  const closed = changes.filter(d => d.cause === "closure");
+  if (closed.length) {
+    parts.push(
+      t(closed.length > 1 ? "{count} closures removed {people}" : "1 closure removed {people}", {
+        count: closed.length,
+        people: millions(byCause.get("closure"))
+      })
+    );
+  }
+  const demographic = changes.filter(d => d.cause === "population");
+  const gains = d3.sum(demographic, d => Math.max(d.change, 0));
+  const losses = d3.sum(demographic, d => Math.max(-d.change, 0));
+  if (gains > 0 || losses > 0) {
+    const params = {
+      where: t(state.timeline === "annual" ? "around operating plants" : "around the plants"),
+      gains: millions(gains),
+      losses: millions(losses)
+    };
+    parts.push(
+      gains > 0 && losses > 0
+        ? t("population change {where} added {gains} and removed {losses}", params)
+        : gains > 0
+          ? t("population growth {where} added {gains}", params)
+          : t("population decline {where} removed {losses}", params)
+    );
+  }
+
+  const sentences = parts.length ? [t("{changes}.", { changes: capitalize(listPhrase(parts)) })] : [];
+  const shutDown = changes.filter(d => d.closed);
+  if (shutDown.length) {
+    const names = shutDown.map(d => d.plant.plant);
+    const plants =
+      names.length > 3
+        ? t("{plants} and {count} more", { plants: names.slice(0, 3).join(", "), count: names.length - 3 })
+        : listPhrase(names);
+    sentences.push(
+      t(
+        names.length > 1
+          ? "{plants} shut down between {from} and {to}; census figures still count the {people} {noun} near them (switch to year-by-year to drop closed plants)."
+          : "{plants} shut down between {from} and {to}; census figures still count the {people} {noun} near it (switch to year-by-year to drop closed plants).",
+        { ...nounParams(), plants, from: prevYear, to: state.year, people: millions(d3.sum(shutDown, d => d.after)) }
+      )
+    );
+  }
+  return sentences.join(" ") || null;
+}
+
+// rank among the countries of the same region, read off the global ranking
+function regionRank(rankMap, iso3) {
+  const region = regionByIso3.get(iso3);
+  if (!region || !rankMap.has(iso3)) return null;
+  const peers = [...rankMap.keys()]
+    .filter(d => regionByIso3.get(d) === region)
+    .sort((a, b) => rankMap.get(a) - rankMap.get(b));
+  return { region, rank: peers.indexOf(iso3) + 1, size: peers.length };
+}
+
+// a region's country rows for the current year and buffer, most exposed first
+function countriesByExposure(region) {
+  return exposureIndex()
+    .rows.filter(
+      d =>
+        d.region === region &&
+        d.year === state.year &&
+        d.buffer_km === state.buffer &&
+        d.num_plants > 0 &&
+        pctNear(d) != null
+    )
+    .sort((a, b) => d3.descending(pctNear(a), pctNear(b)));
+}
+
+// Drilling in and out moves the zoom in the same step, so the zoom's end
+// handler records one history entry for both.
+function drillIntoRegion(region) {
+  state.selectedRegion = region;
+  setSelection([]);
+  syncRegionControls();
+  mapSvg.call(mapG.node().__zoomBehavior__.transform, regionTransform(region));
+  renderAll();
+}
+
+function leaveRegion() {
+  state.selectedRegion = null;
+  setSelection([]);
+  syncRegionControls();
+  mapSvg.call(mapG.node().__zoomBehavior__.transform, d3.zoomIdentity);
+  renderAll();
+}
+
+// zoom transform framing the region's countries
+function regionTransform(region) {
+  const features = world.features.filter(f => regionByIso3.get(featureIso3(f)) === region);
+  if (!features.length) return d3.zoomIdentity;
+  return frameTransform({ type: "FeatureCollection", features });
+}
+
+// zoom transform framing a GeoJSON object, up to `maxScale`
+function frameTransform(object, maxScale = 6) {
+  const [[x0, y0], [x1, y1]] = mapG.node().__path__.bounds(object);
+  const k = Math.max(
+    1,
+    Math.min(maxScale, 0.9 / Math.max((x1 - x0) / mapWidth, (y1 - y0) / mapHeight))
+  );
+  return d3.zoomIdentity
+    .translate(mapWidth / 2, mapHeight / 2)
+    .scale(k)
+    .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+}
+
+function syncRegionControls() {
+  levelSelect.property("value", state.level);
+  regionBackBtn.style("display", state.selectedRegion ? null : "none");
+}
+
+// Comparison mode (shift-click): grouped bars per buffer, one colour per
+// country, plus pct_near over the timeline at the selected buffer
+function renderComparison(countries) {
+  const ix = exposureIndex();
+  const names = new Map(
+    countries.map(iso3 => [iso3, (ix.byCountry.get(iso3) || whatifPlantsIn(iso3))[0].country])
+  );
+  colorCountry.domain(countries);
+
+  // names are spelled out in the legend, keep long comparisons short here
+  const subject =
+    countries.length <= 3
+      ? listPhrase(countries.map(iso3 => names.get(iso3)))
+      : t("{count} countries", { count: countries.length });
+  detailTitle.text(popTypeLabel(t("Comparing {subject}, {year}", { subject, year: state.year })));
+
+  detailG.selectAll("rect.bar, rect.scenario-bar, line.unique-mark").remove();
+  detailSvg.select(".buffer-legend").style("display", "none");
+  detailSvg.select(".part-legend").style("display", "none");
+
+  const data = buffers.flatMap(b =>
+    countries.map(iso3 => {
+      const r = ix.byKey.get(keyExposure(iso3, state.year, b));
+      return {
+        iso3,
+        name: names.get(iso3),
+        buffer_km: b,
+        pct_near: (r && pctNear(r)) || 0,
+        pop_near: (r && popNear(r)) || 0,
+        num_plants: r ? r.num_plants : 0,
+        scenario: scenarioRow(iso3, state.year, b)
+      };
+    })
+  );
+  const scenario = data.filter(d => d.scenario);
+
+  const x1 = d3
+    .scaleBand()
+    .domain(countries)
+    .range([0, xDetail.bandwidth()])
+    .padding(0.05);
+
+  const maxPct = d3.max(data, d => Math.max(d.pct_near, (d.scenario && pctNear(d.scenario)) || 0)) || 1;
+  yDetail.domain([0, maxPct * 1.1]);
+
+  detailG
+    .select(".x-axis")
+    .call(d3.axisBottom(xDetail).tickFormat(formatDistance));
+
+  detailG
+    .select(".y-axis")
+    .call(d3.axisLeft(yDetail).ticks(5).tickFormat(formatPct));
+
+  // adjusted scenario, as in the single-country profile: a dashed outline
+  // at each country's total with its hypothetical plants
+  detailG
+    .selectAll("rect.scenario-bar")
+    .data(scenario, d => `${d.buffer_km}_${d.iso3}`)
+    .join("rect")
+    .attr("class", "scenario-bar")
+    .attr("x", d => xDetail(d.buffer_km) + x1(d.iso3))
+    .attr("width", x1.bandwidth())
+    .attr("y", d => yDetail(pctNear(d.scenario) || 0))
+    .attr("height", d => yDetail(0) - yDetail(pctNear(d.scenario) || 0))
+    .attr("fill", "rgba(217, 95, 2, 0.08)")
+    .attr("stroke", "#d95f02")
+    .attr("stroke-dasharray", "4,2")
+    .lower()
+    .on("mousemove", (event, d) => {
+      const lines = [
+        `<strong>${escapeHtml(d.name)}</strong>, ${t("adjusted scenario")}`,
+        barShareLine(d.buffer_km, pctNear(d.scenario)),
+        `${barPeopleLine(popNear(d.scenario))} (${formatSignedPeople(popNear(d.scenario) - d.pop_near)})`,
+        t("Plants incl. hypothetical: {count}", { count: d.scenario.num_plants })
+      ];
+      tooltip
+        .style("display", "block")
+        .html(lines.join("<br/>"))
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY + 12 + "px");
+    })
+    .on("mouseout", () => {
+      tooltip.style("display", "none");
+    });
+
+  detailG
+    .selectAll("rect.cmp-bar")
+    .data(data, d => `${d.buffer_km}_${d.iso3}`)
+    .join(
+      enter =>
+        enter
+          .append("rect")
+          .attr("class", "cmp-bar")
+          .attr("x", d => xDetail(d.buffer_km) + x1(d.iso3))
+          .attr("width", x1.bandwidth())
+          .attr("y", d => yDetail(d.pct_near))
+          .attr("height", d => yDetail(0) - yDetail(d.pct_near))
+          .attr("fill", d => colorCountry(d.iso3)),
+      update =>
+        update
+          .transition()
+          .duration(400)
+          .attr("x", d => xDetail(d.buffer_km) + x1(d.iso3))
+          .attr("width", x1.bandwidth())
+          .attr("y", d => yDetail(d.pct_near))
+          .attr("height", d => yDetail(0) - yDetail(d.pct_near))
+          .attr("fill", d => colorCountry(d.iso3))
+    )
+    .on("mousemove", (event, d) => {
+      const lines = [
+        `<strong>${escapeHtml(d.name)}</strong>`,
+        barShareLine(d.buffer_km, d.pct_near),
+        barPeopleLine(d.pop_near),
+        t("Plants: {count}", { count: d.num_plants })
+      ];
+      tooltip
+        .style("display", "block")
+        .html(lines.join("<br/>"))
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY + 12 + "px");
+    })
+    .on("mouseout", () => {
+      tooltip.style("display", "none");
+    });
+
+  keyboardNav("comparison-bars", detailG.selectAll("rect.cmp-bar"), {
+    key: d => `${d.buffer_km}_${d.iso3}`,
+    position: d => [xDetail(d.buffer_km) + x1(d.iso3), yDetail(d.pct_near / 2)],
+    label: d => `${d.name}, ${formatDistance(d.buffer_km)}: ${formatPct(d.pct_near)}`
+  });
+
+  const tableColumns = [
+    { label: t("Country"), value: d => d.name },
+    { label: t("Distance"), value: d => formatDistance(d.buffer_km) },
+    { label: popTypeLabel(t("Share")), value: d => formatPct(d.pct_near) },
+    { label: t("{Noun} near plants", nounParams()), value: d => formatPeople(d.pop_near) },
+    { label: t("Plants"), value: d => d.num_plants }
+  ];
+  if (scenario.length) {
+    tableColumns.push({
+      label: t("Adjusted scenario share"),
+      value: d => (d.scenario ? formatPct(pctNear(d.scenario)) : "")
+    });
+  }
+  renderDataTable(detailTable, detailTitle.text(), tableColumns, data);
+
+  // country key in place of the buffer legend
+  const itemWidth = innerDetailWidth / countries.length;
+  const legendItem = detailSvg
+    .select(".country-legend")
+    .style("display", null)
+    .selectAll("g.item")
+    .data(countries, d => d)
+    .join(enter => {
+      const g = enter.append("g").attr("class", "item");
+      g.append("rect").attr("x", 0).attr("y", -6).attr("width", 16).attr("height", 8);
+      g.append("text").attr("x", 20).attr("y", 1).attr("font-size", 10);
+      return g;
+    })
+    .attr("transform", (d, i) => `translate(${i * itemWidth},0)`);
+
+  legendItem.select("rect").attr("fill", d => colorCountry(d));
+  legendItem.select("text").text(d => truncateLabel(names.get(d), Math.floor((itemWidth - 20) / 6)));
+
+  renderComparisonTrend(countries, names);
+
+  detailSummary.text(comparisonNarrative(countries, names).join(" "));
+}
+
+// small line chart of pct_near across the timeline, one line per country
+function renderComparisonTrend(countries, names) {
+  const ix = exposureIndex();
+  compareSvg.style("display", null);
+
+  const series = countries.map(iso3 => ({
+    iso3,
+    values: ix.years
+      .map(year => ({
+        year,
+        pct: pctNear(ix.byKey.get(keyExposure(iso3, year, state.buffer)))
+      }))
+      .filter(d => d.pct != null)
+  }));
+
+  const x = d3
+    .scaleLinear()
+    .domain(d3.extent(ix.years))
+    .range([0, innerDetailWidth]);
+
+  const y = d3
+    .scaleLinear()
+    .domain([0, (d3.max(series, s => d3.max(s.values, d => d.pct)) || 1) * 1.1])
+    .range([innerCompareHeight, 0]);
+
+  compareG
+    .select(".x-axis")
+    .call(
+      d3
+        .axisBottom(x)
+        .tickValues(ix.years.length <= 10 ? ix.years : null)
+        .ticks(8)
+        .tickFormat(d3.format("d"))
+    );
+  compareG.select(".y-axis").call(d3.axisLeft(y).ticks(4).tickFormat(formatPct));
+  compareG
+    .select(".chart-label")
+    .text(t("% of population within {distance} over time", { distance: formatDistance(state.buffer) }));
+
+  const line = d3
+    .line()
+    .x(d => x(d.year))
+    .y(d => y(d.pct));
+
+  compareG
+    .selectAll("path.trend")
+    .data(series, d => d.iso3)
+    .join("path")
+    .attr("class", "trend")
+    .attr("fill", "none")
+    .attr("stroke-width", 2)
+    .attr("stroke", d => colorCountry(d.iso3))
+    .attr("d", d => line(d.values));
+
+  // dots only where there are few points (census snapshots)
+  compareG
+    .selectAll("circle.trend-dot")
+    .data(
+      ix.years.length <= 10
+        ? series.flatMap(s => s.values.map(v => ({ ...v, iso3: s.iso3 })))
+        : [],
+      d => `${d.iso3}_${d.year}`
+    )
+    .join("circle")
+    .attr("class", "trend-dot")
+    .attr("r", 3)
+    .attr("cx", d => x(d.year))
+    .attr("cy", d => y(d.pct))
+    .attr("fill", d => colorCountry(d.iso3))
+    .on("mousemove", (event, d) => {
+      tooltip
+        .style("display", "block")
+        .html(`<strong>${escapeHtml(names.get(d.iso3))}</strong><br/>${d.year}: ${formatPct(d.pct)}`)
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY + 12 + "px");
+    })
+    .on("mouseout", () => {
+      tooltip.style("display", "none");
+    });
+
+  keyboardNav("trend", compareG.selectAll("circle.trend-dot"), {
+    key: d => `${d.iso3}_${d.year}`,
+    position: d => [x(d.year), y(d.pct)],
+    label: d => `${names.get(d.iso3)}, ${d.year}: ${formatPct(d.pct)}`
+  });
+
+  renderDataTable(
+    compareTable,
+    compareG.select(".chart-label").text(),
+    [
+      { label: t("Year"), value: d => d.year },
+      ...series.map(s => ({
+        label: names.get(s.iso3),
+        value: d => formatPct(s.values.find(v => v.year === d.year)?.pct)
+      }))
+    ],
+    ix.years.map(year => ({ year }))
+  );
+
+  compareG
+    .select("line.year-marker")
+    .attr("x1", x(state.year))
+    .attr("x2", x(state.year))
+    .attr("y1", 0)
+    .attr("y2", innerCompareHeight);
+}
+
+// comparative versions of the level, change, rank and concentration sentences
+function comparisonNarrative(countries, names) {
+  const ix = exposureIndex();
+  const rowFor = (iso3, year, buffer) => ix.byKey.get(keyExposure(iso3, year, buffer));
+  const pct = value => `${formatPct(value)}`;
+  const millions = value => (value >= 0 ? formatSignedPeople(value) : formatPeople(value));
+  const pieces = [];
+
+  // level at the selected buffer
+  const levels = countries
+    .map(iso3 => ({ iso3, value: pctNear(rowFor(iso3, state.year, state.buffer)) }))
+    .filter(d => d.value != null)
+    .sort((a, b) => d3.descending(a.value, b.value));
+  if (levels.length) {
+    const [top, ...rest] = levels;
+    pieces.push(
+      t(
+        rest.length
+          ? "In {year}, {name} has the highest share of {noun} within {distance} of a nuclear plant ({share}), followed by {others}."
+          : "In {year}, {name} has the highest share of {noun} within {distance} of a nuclear plant ({share}).",
+        {
+          ...nounParams(),
+          name: names.get(top.iso3),
+          distance: formatDistance(state.buffer),
+          share: pct(top.value),
+          others: listPhrase(rest.map(d => `${names.get(d.iso3)} (${pct(d.value)})`))
+        }
+      )
+    );
+  }
+
+  // change against the previous step on the timeline
+  const prevYear = ix.previousYear(state.year);
+  if (prevYear != null) {
+    const changes = countries
+      .map(iso3 => {
+        const now = popNear(rowFor(iso3, state.year, state.buffer));
+        const before = popNear(rowFor(iso3, prevYear, state.buffer));
+        return { iso3, value: now != null && before != null ? now - before : null };
+      })
+      .filter(d => d.value != null)
+      .sort((a, b) => d3.descending(a.value, b.value));
+    if (changes.length > 1) {
+      const [top, ...rest] = changes;
+      pieces.push(
+        t("Since {prevYear}, {name} saw the largest change in {noun} near plants ({change}), ahead of {others}.", {
+          ...nounParams(),
+          prevYear,
+          name: names.get(top.iso3),
+          change: millions(top.value),
+          others: listPhrase(rest.map(d => `${names.get(d.iso3)} (${millions(d.value)})`))
+        })
+      );
+    }
+  }
+
+  // what-if: the countries with hypothetical plants, at the selected buffer
+  const adjusted = countries
+    .map(iso3 => ({ iso3, row: scenarioRow(iso3, state.year, state.buffer) }))
+    .filter(d => d.row && pctNear(d.row) != null);
+  if (adjusted.length) {
+    pieces.push(
+      t(
+        "Adjusted scenario: with the hypothetical plants, about {shares} would live within {distance} (estimated from the nearest existing plants).",
+        {
+          shares: listPhrase(
+            adjusted.map(d => t("{share} of {noun} in {name}", { ...nounParams(), share: pct(pctNear(d.row)), name: names.get(d.iso3) }))
+          ),
+          distance: formatDistance(state.buffer)
+        }
+      )
+    );
+  }
+
+  // global ranks
+  const rankMap = ix.rankByYearBuffer.get(keyYearBuffer(state.year, state.buffer));
+  const ranked = countries
+    .filter(iso3 => rankMap?.has(iso3))
+    .sort((a, b) => rankMap.get(a) - rankMap.get(b));
+  if (ranked.length) {
+    pieces.push(
+      t("Global ranks at {distance}: {ranks} of {size} countries.", {
+        distance: formatDistance(state.buffer),
+        ranks: listPhrase(ranked.map(iso3 => `${names.get(iso3)} ${ordinal(rankMap.get(iso3))}`)),
+        size: rankMap.size
+      })
+    );
+  }
+
+  // distance concentration: nearest vs farthest buffer
+  const nearBuffer = buffers[0];
+  const farBuffer = buffers[buffers.length - 1];
+  if (nearBuffer !== farBuffer) {
+    const shares = countries
+      .map(iso3 => {
+        const near = pctNear(rowFor(iso3, state.year, nearBuffer));
+        const far = pctNear(rowFor(iso3, state.year, farBuffer));
+        return { iso3, value: near != null && far > 0 ? (near / far) * 100 : null };
+      })
+      .filter(d => d.value != null)
+      .sort((a, b) => d3.descending(a.value, b.value));
+    if (shares.length > 1) {
+      const most = shares[0];
+      const least = shares[shares.length - 1];
+      pieces.push(
+        t(
+          "Exposure is most concentrated close to plants in {most} ({share} of people within {far} are within {near}) and least in {least} ({leastShare}).",
+          {
+            most: names.get(most.iso3),
+            share: pct(most.value),
+            far: formatDistance(farBuffer),
+            near: formatDistance(nearBuffer),
+            least: names.get(least.iso3),
+            leastShare: pct(least.value)
+          }
+        )
+      );
+    }
+  }
+
+  return pieces;
+}
+
+// "A", "A and B", "A, B and C"
+function listPhrase(items) {
+  if (items.length <= 1) return items.join("");
+  const head = items.slice(1, -1).reduce((list, item) => t("{items}, {item}", { items: list, item }), items[0]);
+  return t("{items} and {last}", { items: head, last: items[items.length - 1] });
+}
+
+// "1st", "2nd", "21st": the ending follows the UI language's ordinal rules
+function ordinal(n) {
+  const endings = { one: "{n}st", two: "{n}nd", few: "{n}rd", other: "{n}th" };
+  const form = new Intl.PluralRules(locale.code, { type: "ordinal" }).select(n);
+  return t(endings[form] ?? endings.other, { n });
+}
+
+function truncateLabel(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, Math.max(1, maxChars - 1))}…` : text;
+}
+
+// Keyboard and screen-reader access. Each group of marks (countries, plants,
+// detail bars) is a single tab stop; arrow keys move to the nearest mark in
+// that direction, Enter or Space acts like a click, and a focused mark shows
+// the same tooltip as hovering it, read out through the live region.
+const navGroups = new Map(); // name -> { selection, key, position, selected, focusKey }
+
+const arrowDirections = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowDown: [0, 1],
+  ArrowUp: [0, -1]
+};
+
+// `position` gives a mark's place in chart coordinates; `selected` (optional)
+// is announced after Enter
+function keyboardNav(name, selection, { key, position, label, role = "img", selected }) {
+  const group = navGroups.get(name) || { focusKey: null };
+  Object.assign(group, { selection, key, position, selected });
+  navGroups.set(name, group);
+
+  const nodes = selection.nodes();
+  const entry = nodes.find(n => key(n.__data__) === group.focusKey) || nodes[0];
+  selection
+    .attr("tabindex", function () {
+      return this === entry ? 0 : -1;
+    })
+    .attr("role", role)
+    .attr("aria-label", label)
+    .on("focus", function (event, d) {
+      group.focusKey = key(d);
+      group.selection.attr("tabindex", -1);
+      this.setAttribute("tabindex", 0);
+      showFocusTooltip(this, d);
+    })
+    .on("blur", function (event, d) {
+      const onOut = d3.select(this).on("mouseout");
+      if (onOut) onOut.call(this, event, d);
+    })
+    .on("keydown", function (event, d) {
+      navKeydown(group, this, event, d);
+    });
+}
+
+function navKeydown(group, node, event, d) {
+  if (event.key === "Enter" || event.key === " ") {
+    const onClick = d3.select(node).on("click");
+    if (!onClick) return;
+    event.preventDefault();
+    const focusKey = group.key(d);
+    onClick.call(node, event, d);
+    // re-rendering may have replaced the mark; keep focus on its successor
+    if (!node.isConnected) {
+      const next = group.selection.nodes().find(n => group.key(n.__data__) === focusKey);
+      if (next) next.focus();
+    }
+    if (group.selected) announce(group.selected(d));
+    return;
+  }
+  if (event.key === "Escape") {
+    tooltip.style("display", "none");
+    return;
+  }
+
+  const direction = arrowDirections[event.key];
+  if (!direction) return;
+  event.preventDefault();
+
+  // nearest mark ahead, preferring ones in line with the current mark
+  const [x0, y0] = group.position(d);
+  let best = null;
+  let bestScore = Infinity;
+  group.selection.each(function (e) {
+    if (this === node) return;
+    const [x, y] = group.position(e);
+    const along = (x - x0) * direction[0] + (y - y0) * direction[1];
+    if (!(along > 0)) return;
+    const across = Math.abs((x - x0) * direction[1] - (y - y0) * direction[0]);
+    const score = along + 2 * across;
+    if (score < bestScore) {
+      bestScore = score;
+      best = this;
+    }
+  });
+  if (best) best.focus();
+}
+
+// run the mark's own mousemove handler at the mark's position
+function showFocusTooltip(node, d) {
+  const onMove = d3.select(node).on("mousemove");
+  if (!onMove) return;
+  const box = node.getBoundingClientRect();
+  onMove.call(
+    node,
+    {
+      pageX: box.left + box.width / 2 + window.scrollX,
+      pageY: box.top + box.height / 2 + window.scrollY
+    },
+    d
+  );
+  announce(tooltip.html());
+}
+
+// read text (or tooltip markup) out through the polite live region
+function announce(html) {
+  liveRegion.text(
+    html
+      .replace(/<br\s*\/?>/g, ". ")
+      .replace(/<[^>]+>/g, "")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(code))
+      .replace(/&amp;/g, "&")
+  );
+}
+
+// Screen-reader alternative to a chart: a visually hidden table of what it shows
+function renderDataTable(container, caption, columns, rows) {
+  const table = container
+    .selectAll("table")
+    .data([null])
+    .join(enter => {
+      const t = enter.append("table");
+      t.append("caption");
+      t.append("thead").append("tr");
+      t.append("tbody");
+      return t;
+    });
+  table.select("caption").text(caption);
+  table
+    .select("thead tr")
+    .selectAll("th")
+    .data(columns)
+    .join("th")
+    .attr("scope", "col")
+    .text(c => c.label);
+  table
+    .select("tbody")
+    .selectAll("tr")
+    .data(rows)
+    .join("tr")
+    .selectAll("td")
+    .data(r => columns.map(c => c.value(r)))
+    .join("td")
+    .text(v => (v == null ? "–" : v));
+}
+
+function renderMapTable(ix, prevYear) {
+  const rows = ix.rows
+    .filter(
+      d =>
+        d.year === state.year &&
+        d.buffer_km === state.buffer &&
+        (mapShowsRegions() || !mapDimmed(d.iso3))
+    )
+    .sort((a, b) => d3.descending(pctNear(a), pctNear(b)));
+  const columns = [
+    { label: t(mapShowsRegions() ? "Region" : "Country"), value: d => d.country },
+    { label: t("Share within {distance}", { distance: formatDistance(state.buffer) }), value: d => formatPct(pctNear(d)) },
+    { label: t("{Noun} near plants", nounParams()), value: d => formatPeople(popNear(d)) }
+  ];
+  if (!mapShowsRegions()) {
+    columns.push({ label: t("Counted once"), value: d => formatPeople(uniquePopNear(d)) });
+  }
+  if (prevYear != null) {
+    const gross = d => ix.grossByKey.get(keyDelta(d.iso3, d.year, d.buffer_km));
+    columns.push(
+      {
+        label: t("Net change since {year}", { year: prevYear }),
+        value: d => {
+          const delta = ix.deltaByKey.get(keyDelta(d.iso3, d.year, d.buffer_km));
+          return delta == null ? null : formatSignedPeople(delta);
+        }
+      },
+      { label: t("Gains"), value: d => formatPeople(gross(d)?.gain) },
+      { label: t("Losses"), value: d => formatPeople(gross(d)?.loss) }
+    );
+  }
+  const metricKey = activeMetric(prevYear);
+  if (["pct_change", "per_plant", "per_reactor"].includes(metricKey)) {
+    const metric = mapMetrics[metricKey];
+    columns.push({
+      label: t(metric.label),
+      value: d => {
+        const value = metric.value(d, ix, prevYear);
+        return value == null ? null : metric.format(value);
+      }
+    });
+  }
+  columns.push({ label: t("Plants"), value: d => d.num_plants });
+  renderDataTable(mapTable, d3.select("#map-container h2").text(), columns, rows);
+}
+
+// Plant table: searchable, filterable and sortable list of the plants on the
+// map for the current year and buffer, linked to their circles both ways
+const plantTableColumns = [
+  { key: "plant", label: "Plant", value: d => d.plant },
+  { key: "country", label: "Country", value: d => d.country },
+  { key: "num_reactors", label: "Reactors", value: d => d.num_reactors },
+  { key: "pop", label: "Population", value: (d, pop) => pop }
+];
+const plantTableSort = { key: "pop", descending: true };
+
+// rows that pass the search box and filters, with their population
+function filteredPlants() {
+  const { rows, plantPop } = visiblePlants();
+  const query = plantSearch.property("value").trim().toLowerCase();
+  const region = plantRegionSelect.property("value");
+  const minReactors = +plantReactorsSelect.property("value") || 0;
+  // population bounds are entered in millions; empty means no bound
+  const bound = input => (input.property("value") === "" ? null : +input.property("value") * 1e6);
+  const minPop = bound(plantPopMin);
+  const maxPop = bound(plantPopMax);
+
+  return rows
+    .map(d => ({ plant: d, pop: plantPop(d) }))
+    .filter(
+      ({ plant, pop }) =>
+        (!query ||
+          plant.plant.toLowerCase().includes(query) ||
+          plant.country.toLowerCase().includes(query)) &&
+        (!region || plant.region === region) &&
+        plant.num_reactors >= minReactors &&
+        (minPop == null || pop >= minPop) &&
+        (maxPop == null || pop <= maxPop)
+    );
+}
+
+function renderPlantTable() {
+  const column = plantTableColumns.find(c => c.key === plantTableSort.key);
+  const compare = plantTableSort.descending ? d3.descending : d3.ascending;
+  const rows = filteredPlants().sort((a, b) =>
+    compare(column.value(a.plant, a.pop), column.value(b.plant, b.pop))
+  );
+
+  plantCount.text(t("{count} of {total} plants", { count: rows.length, total: visiblePlants().rows.length }));
+
+  plantTable
+    .selectAll("thead th")
+    .data(plantTableColumns)
+    .text(c =>
+      c.key === "pop"
+        ? popTypeLabel(t("Population, {distance}, {year}", { distance: formatDistance(state.buffer), year: state.year }))
+        : t(c.label)
+    )
+    .attr("aria-sort", c =>
+      c.key === plantTableSort.key ? (plantTableSort.descending ? "descending" : "ascending") : null
+    )
+    .classed("sorted", c => c.key === plantTableSort.key);
+
+  plantTable
+    .select("tbody")
+    .selectAll("tr")
+    .data(rows, d => d.plant.plant_id)
+    .join(enter => {
+      const tr = enter.append("tr");
+      plantTableColumns.forEach(() => tr.append("td"));
+      return tr;
+    })
+    .classed("selected", d => d.plant.plant_id === state.selectedPlantId)
+    .on("click", (event, d) => selectPlant(d.plant.plant_id, true))
+    .on("mouseenter", (event, d) => highlightPlant(d.plant.plant_id))
+    .on("mouseleave", () => highlightPlant(null))
+    .order()
+    .selectAll("td")
+    .data(d => [d.plant.plant, d.plant.country, d.plant.num_reactors, d.pop])
+    .text((value, i) => (i === 3 ? `${formatPeople(value)}` : value));
+}
+
+// Buffer rings: geodesic circles for every buffer around the selected plant,
+// largest first so the nearer rings sit on top
+function renderPlantRings() {
+  const plant = plantRows.find(d => d.plant_id === state.selectedPlantId);
+  const geoPath = mapG.node().__path__;
+  const circle = d3.geoCircle().center(plant ? [plant.lon, plant.lat] : [0, 0]);
+
+  ringsG
+    .selectAll("path.buffer-ring")
+    .data(plant ? buffers.slice().reverse() : [], d => d)
+    .join("path")
+    .attr("class", "buffer-ring")
+    .attr("d", d => geoPath(circle.radius((d / earthRadiusKm) * (180 / Math.PI))()))
+    .attr("fill", d => colorBuffer(d))
+    .attr("fill-opacity", 0.07)
+    .attr("stroke", d => colorBuffer(d))
+    .attr("stroke-width", d => (d === state.buffer ? 2 : 1))
+    .attr("vector-effect", "non-scaling-stroke")
+    .attr("pointer-events", "none");
+}
+
+// plants (among `rows`) whose buffers at the selected distance (or `buffer`)
+// overlap the plant's own, nearest first
+function overlappingPlants(plant, rows, buffer = state.buffer) {
+  return rows
+    .filter(d => d.plant_id !== plant.plant_id)
+    .map(d => ({
+      plant: d,
+      distance: d3.geoDistance([plant.lon, plant.lat], [d.lon, d.lat]) * earthRadiusKm
+    }))
+    .filter(d => d.distance < 2 * buffer)
+    .sort((a, b) => d3.ascending(a.distance, b.distance));
+}
+
+// Side panel for the selected plant: its population at each buffer in each
+// census year, split into urban and rural, and the plants it overlaps with
+function renderPlantProfile() {
+  const plant = plantRows.find(d => d.plant_id === state.selectedPlantId);
+  plantProfile.style("display", plant ? null : "none");
+  plantProfile.selectAll("*").remove();
+  if (!plant) return;
+
+  const header = plantProfile.append("div").attr("class", "plant-profile-header");
+  header.append("h3").text(`${plant.plant} (${plant.country})`);
+  header
+    .append("button")
+    .attr("type", "button")
+    .attr("aria-label", t("Close plant profile"))
+    .text("×")
+    .on("click", () => selectPlant(plant.plant_id, false));
+
+  plantProfile
+    .append("p")
+    .attr("class", "plant-profile-note")
+    .text(
+      t(
+        plant.num_reactors === 1
+          ? "1 reactor. People living within each distance of the plant; the rings on the map show the same distances."
+          : "{count} reactors. People living within each distance of the plant; the rings on the map show the same distances.",
+        { count: plant.num_reactors }
+      )
+    );
+
+  const table = plantProfile.append("table").attr("class", "plant-profile-table");
+  const caption = t("Population near {plant} by distance and census year", { plant: plant.plant });
+  table.append("caption").attr("class", "visually-hidden").text(caption);
+  table
+    .append("thead")
+    .append("tr")
+    .selectAll("th")
+    .data([t("Distance"), ...years])
+    .join("th")
+    .attr("scope", "col")
+    .classed("current", d => d === state.year)
+    .text(d => d);
+
+  const value = (b, y, popType) => plant[plantPopKey(b, y, popType)];
+  const rows = table
+    .append("tbody")
+    .selectAll("tr")
+    .data(buffers)
+    .join("tr")
+    .classed("current", b => b === state.buffer);
+  rows
+    .append("th")
+    .attr("scope", "row")
+    .call(th =>
+      th
+        .append("span")
+        .attr("class", "swatch")
+        .style("background", b => colorBuffer(b))
+    )
+    .append("span")
+    .text(b => ` ${formatDistance(b)}`);
+  rows
+    .selectAll("td")
+    .data(b => years.map(y => ({ b, y })))
+    .join("td")
+    .classed("current", d => d.y === state.year)
+    .html(({ b, y }) => {
+      const total = value(b, y, "total");
+      if (total == null) return "–";
+      const urban = value(b, y, "urban");
+      const rural = value(b, y, "rural");
+      const split =
+        urban != null && rural != null
+          ? `<br/><small>${t("urban {urban} · rural {rural}", {
+              urban: formatPeople(urban),
+              rural: formatPeople(rural)
+            })}</small>`
+          : "";
+      return `${formatPeople(total)}${split}`;
+    });
+
+  const { rows: visible } = visiblePlants();
+  const neighbours = overlappingPlants(plant, visible);
+  plantProfile
+    .append("p")
+    .attr("class", "plant-profile-note")
+    .html(() => {
+      const distance = formatDistance(state.buffer);
+      if (!neighbours.length) return t("At {distance} no other plant's buffer overlaps this one.", { distance });
+      const listed = neighbours
+        .slice(0, 6)
+        .map(d => t("{plant} ({distance} away)", { plant: escapeHtml(d.plant.plant), distance: formatDistance(d.distance) }))
+        .join(", ");
+      const plants =
+        neighbours.length > 6 ? t("{plants} and {count} more", { plants: listed, count: neighbours.length - 6 }) : listed;
+      return t(
+        neighbours.length > 1
+          ? "At {distance} its buffer overlaps {count} other plants (highlighted on the map): {plants}."
+          : "At {distance} its buffer overlaps 1 other plant (highlighted on the map): {plants}.",
+        { distance, count: neighbours.length, plants }
+      );
+    });
+}
+
+// Select a plant from the table or the map; from the table the map zooms to
+// it, turning the plant layer on so its circle can be highlighted.
+function selectPlant(plantId, zoomTo) {
+  state.selectedPlantId = state.selectedPlantId === plantId && !zoomTo ? null : plantId;
+  const plant = plantRows.find(d => d.plant_id === state.selectedPlantId);
+  if (plant && zoomTo) {
+    state.showPlants = true;
+    togglePlants.property("checked", true);
+    if (globeProjection()) {
+      // turn the globe to the plant first
+      state.rotate = [-plant.lon, -plant.lat];
+      setProjection();
+    }
+    const [x, y] = mapG.node().__projection__([plant.lon, plant.lat]);
+    const k = Math.max(d3.zoomTransform(mapSvg.node()).k, 4);
+    mapSvg.call(
+      mapG.node().__zoomBehavior__.transform,
+      d3.zoomIdentity.translate(mapWidth / 2, mapHeight / 2).scale(k).translate(-x, -y)
+    );
+  }
+  renderAll();
+  scrollToPlantRow(state.selectedPlantId);
+}
+
+// hovering either a circle or a row marks both
+function highlightPlant(plantId) {
+  const layers = d3.selectAll([plantsG.node(), splitPlantsG.node()]);
+  layers
+    .selectAll("circle.plant")
+    .classed("hovered", d => d.plant_id === plantId)
+    .filter(d => d.plant_id === plantId)
+    .raise();
+  layers
+    .selectAll("g.plant-cluster")
+    .classed("hovered", d => d.plants.some(p => p.plant_id === plantId));
+  plantTable.selectAll("tbody tr").classed("hovered", d => d.plant.plant_id === plantId);
+}
+
+function scrollToPlantRow(plantId) {
+  const row = plantTable
+    .selectAll("tbody tr")
+    .filter(d => d.plant.plant_id === plantId)
+    .node();
+  if (row && row.scrollIntoView) row.scrollIntoView({ block: "nearest" });
+}
+
+// region filter options from the plant table
+function plantRegionOptions() {
+  plantRegionSelect
+    .selectAll("option.region")
+    .data(Array.from(new Set(plantRows.map(d => d.region).filter(Boolean))).sort())
+    .join("option")
+    .attr("class", "region")
+    .attr("value", d => d)
+    .text(d => d);
+}
+
+function initPlantTable() {
+  plantRegionOptions();
+
+  plantTable
+    .select("thead tr")
+    .selectAll("th")
+    .data(plantTableColumns)
+    .join("th")
+    .attr("scope", "col")
+    .on("click", (event, c) => {
+      plantTableSort.descending = c.key === plantTableSort.key ? !plantTableSort.descending : c.key === "pop";
+      plantTableSort.key = c.key;
+      renderPlantTable();
+    });
+
+  [plantSearch, plantPopMin, plantPopMax].forEach(input => input.on("input", renderPlantTable));
+  [plantRegionSelect, plantReactorsSelect].forEach(select => select.on("change", renderPlantTable));
+}
+
+// What-if scenario: hypothetical plants placed on the map. Each one gets the
+// same pop{buffer}{part}_{year} columns as a real plant, estimated from the
+// nearest existing plants, and adds to its country's totals. Farther than
+// `whatifMaxDistanceKm` from every plant there is no estimate and no plant.
+const whatifNeighbours = 3;
+const whatifMaxDistanceKm = 300;
+let whatifCount = 0;
+
+// inverse-distance weighted mean of the nearest plants' buffer populations,
+// or null without a plant in range
+function estimatePlant(lon, lat) {
+  const nearest = plantRows
+    .map(p => ({ plant: p, distance: d3.geoDistance([lon, lat], [p.lon, p.lat]) }))
+    .filter(d => d.distance * earthRadiusKm <= whatifMaxDistanceKm)
+    .sort((a, b) => d3.ascending(a.distance, b.distance))
+    .slice(0, whatifNeighbours);
+  if (!nearest.length) return null;
+  // distances are in radians; keep a plant on the same spot from dominating
+  const weights = nearest.map(d => 1 / Math.max(d.distance, 1e-3));
+
+  const estimate = { nearest: nearest.map(d => d.plant.plant) };
+  plantRows.columns
+    .filter(c => /^pop\d+[ur]?_\d{4}$/.test(c))
+    .forEach(c => {
+      let sum = 0;
+      let weight = 0;
+      nearest.forEach((d, i) => {
+        const value = d.plant[c];
+        if (value == null) return;
+        sum += value * weights[i];
+        weight += weights[i];
+      });
+      estimate[c] = weight > 0 ? sum / weight : null;
+    });
+  return estimate;
+}
+
+function makeHypotheticalPlant({ lon, lat, name }) {
+  const feature = world.features.find(f => d3.geoContains(f, [lon, lat]));
+  const iso3 = feature ? featureIso3(feature) : null;
+  const estimate = iso3 && estimatePlant(lon, lat);
+  if (!estimate) return null;
+  whatifCount += 1;
+  return {
+    plant_id: `whatif-${whatifCount}`,
+    plant: name || t("Hypothetical plant {count}", { count: whatifCount }),
+    country: countryName(iso3, feature),
+    iso3,
+    lat,
+    lon,
+    hypothetical: true,
+    ...estimate
+  };
+}
+
+function countryName(iso3, feature) {
+  const row = censusIndex.byCountry.get(iso3);
+  if (row) return row[0].country;
+  return (feature ? featureName(feature) : iso3).toUpperCase();
+}
+
+function whatifPlantsIn(iso3) {
+  return state.whatif.filter(p => p.iso3 === iso3);
+}
+
+// A country's row with its hypothetical plants added. pop_total, the
+// share's denominator, stays the country's own.
+function scenarioRow(iso3, year, buffer) {
+  const added = whatifPlantsIn(iso3);
+  if (!added.length) return null;
+  const base = exposureIndex().byKey.get(keyExposure(iso3, year, buffer));
+  const source = censusSource(year);
+  const value = (p, b, popType) =>
+    censusValue(source, y => p[plantPopKey(b, y, popType)]) || 0;
+
+  const row = {
+    iso3,
+    country: added[0].country,
+    year,
+    buffer_km: buffer,
+    num_plants: (base?.num_plants || 0) + added.length
+  };
+  popTypes.forEach(popType => {
+    const column = popNearColumn[popType];
+    row[column] = (base?.[column] || 0) + d3.sum(added, p => value(p, buffer, popType));
+  });
+  row.pop_total = base?.pop_total ?? null;
+  row.pct_near = row.pop_total > 0 ? (row.pop_near / row.pop_total) * 100 : null;
+  return row;
+}
+
+function placeHypotheticalPlant(event, feature) {
+  const projection = mapG.node().__projection__;
+  // from the keyboard there is no pointer: use the country's centroid
+  const [lon, lat] =
+    event.clientX == null
+      ? d3.geoCentroid(feature)
+      : projection.invert(d3.pointer(event, event.currentTarget.closest(".map-root")));
+  const plant = makeHypotheticalPlant({ lon, lat });
+  if (!plant) {
+    whatifStatus.text(
+      t("No estimate here: no existing plant within {distance}", { distance: formatDistance(whatifMaxDistanceKm) })
+    );
+    return;
+  }
+  state.whatif = [...state.whatif, plant];
+  setSelection([plant.iso3]);
+  renderAll();
+}
+
+function removeHypotheticalPlant(plantId) {
+  state.whatif = state.whatif.filter(p => p.plant_id !== plantId);
+  renderAll();
+}
+
+function renderWhatif() {
+  mapSvg.classed("placing", state.placing);
+  splitSvg.classed("placing", state.placing);
+  whatifStatus.text(
+    state.whatif.length
+      ? t(state.whatif.length > 1 ? "{count} hypothetical plants" : "1 hypothetical plant", {
+          count: state.whatif.length
+        })
+      : ""
+  );
+  const views = mapViews();
+  mapLayers.forEach(({ whatifG }, i) => renderWhatifLayer(whatifG, views[i]));
+}
+
+// one map's hypothetical plants, with estimates for its view's year
+function renderWhatifLayer(layer, view) {
+  const projection = mapG.node().__projection__;
+  const year = view?.year;
+  const source = view && censusSource(year);
+  const plantPop = (d, b) => censusValue(source, y => d[plantPopKey(b, y)]);
+
+  layer
+    .selectAll("path.whatif-plant")
+    .data(
+      view ? state.whatif.filter(d => pointVisible(d.lon, d.lat)) : [],
+      d => d.plant_id
+    )
+    .join("path")
+    .attr("class", "whatif-plant")
+    .attr("d", d3.symbol(d3.symbolStar).size(90))
+    .attr("transform", d => `translate(${projection([d.lon, d.lat])})`)
+    .attr("fill", "#d95f02")
+    .attr("stroke", "#fff")
+    .attr("stroke-width", 0.8)
+    .on("mousemove", (event, d) => {
+      const lines = [
+        `<strong>${escapeHtml(d.plant)}</strong> (${escapeHtml(d.country)})`,
+        t("Hypothetical plant, {lat}°, {lon}°", { lat: d.lat.toFixed(2), lon: d.lon.toFixed(2) }),
+        t(state.popType === "total" ? "Estimated population, {year}:" : "Estimated population ({popType}), {year}:", {
+          popType: t(state.popType),
+          year
+        }),
+        ...buffers.map(b => {
+          const pop = plantPop(d, b);
+          return `${formatDistance(b)}: ${pop == null ? t("n/a") : formatPeople(pop)}`;
+        }),
+        `<em>${t("From the nearest plants: {plants}", { plants: escapeHtml(d.nearest.join(", ")) })}</em>`
+      ];
+      if (state.placing) lines.push(t("Click to remove"));
+      tooltip
+        .style("display", "block")
+        .html(lines.join("<br/>"))
+        .style("left", event.pageX + 12 + "px")
+        .style("top", event.pageY + 12 + "px");
+    })
+    .on("mouseout", () => {
+      tooltip.style("display", "none");
+    })
+    .on("click", (event, d) => {
+      if (!state.placing) return;
+      event.stopPropagation();
+      tooltip.style("display", "none");
+      removeHypotheticalPlant(d.plant_id);
+    });
+}
+
+// scenarios are saved as the plants' positions and names; estimates are
+// recomputed on load so they follow the bundled data
+function saveScenario() {
+  const scenario = {
+    type: "nuclear-exposure-whatif",
+    version: 1,
+    plants: state.whatif.map(({ plant, iso3, lat, lon }) => ({
+      name: plant,
+      iso3,
+      lat: +lat.toFixed(4),
+      lon: +lon.toFixed(4)
+    }))
+  };
+  downloadBlob(
+    new Blob([JSON.stringify(scenario, null, 2)], { type: "application/json" }),
+    "whatif-scenario.json"
+  );
+}
+
+async function loadScenario(file) {
+  try {
+    const scenario = JSON.parse(await file.text());
+    if (!Array.isArray(scenario?.plants)) throw new Error("no plants list");
+    const plants = scenario.plants
+      .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon))
+      .map(p => makeHypotheticalPlant({ lon: p.lon, lat: p.lat, name: p.name }))
+      .filter(Boolean);
+    state.whatif = plants;
+    setSelection(Array.from(new Set(plants.map(p => p.iso3))).slice(0, maxCompare));
+    renderAll();
+  } catch (error) {
+    whatifStatus.text(t("Could not read that scenario file"));
+  }
+}
+
+function initWhatif() {
+  toggleWhatif.on("change", () => {
+    state.placing = toggleWhatif.property("checked");
+    renderWhatif();
+  });
+  d3.select("#whatif-save").on("click", saveScenario);
+  d3.select("#whatif-load").on("click", () => whatifFile.node().click());
+  whatifFile.on("change", () => {
+    const file = whatifFile.node().files[0];
+    whatifFile.property("value", "");
+    if (file) loadScenario(file);
+  });
+  d3.select("#whatif-clear").on("click", () => {
+    state.whatif = [];
+    renderAll();
+  });
+}
+
+// User datasets: country-long and plant-wide CSVs in the bundled files'
+// layout, dropped on the page or picked with the Load button. Rows that fail
+// the checks are skipped and reported; a file missing a required column is
+// refused and the current data stays.
+let bundledData; // { countryRows, plantRows } as fetched in loadData()
+const datasetFiles = { country: null, plant: null }; // names of loaded user files
+let datasetReports = []; // per-file results of the last load, redrawn on a locale change
+const maxReportedRows = 8;
+
+const datasetSchemas = {
+  country: {
+    label: "country table",
+    required: [
+      "iso3",
+      "country",
+      "region",
+      "year",
+      "buffer_km",
+      "pop_near",
+      "pct_near",
+      "num_plants"
+    ],
+    numeric: [
+      "year",
+      "buffer_km",
+      "pop_near",
+      "pct_near",
+      "num_plants",
+      "pop_near_urban",
+      "pop_near_rural",
+      "pop_total"
+    ],
+    key: d => keyExposure(d.iso3, d.year, d.buffer_km),
+    check(d) {
+      if (!Number.isInteger(d.year)) return "year is not a whole number";
+      if (!(d.buffer_km > 0)) return "buffer_km is not a positive distance";
+      if (d.pop_near < 0) return "pop_near is negative";
+      if (d.pct_near < 0 || d.pct_near > 100) return "pct_near is outside 0–100";
+      return null;
+    }
+  },
+  plant: {
+    label: "plant table",
+    required: ["plant_id", "plant", "country", "lat", "lon", "num_reactors"],
+    // columns that must be present but may be blank (a few plants have no iso3)
+    optional: ["iso3"],
+    numeric: ["lat", "lon", "num_reactors"],
+    // population columns: pop{buffer}_{year}, with u / r for the urban and rural parts
+    pattern: /^pop\d+[ur]?_\d{4}$/,
+    key: d => d.plant_id,
+    check(d) {
+      if (d.lat < -90 || d.lat > 90) return "lat is outside ±90";
+      if (d.lon < -180 || d.lon > 180) return "lon is outside ±180";
+      return null;
+    }
+  }
+};
+
+// which table a file holds, from its header
+function datasetKind(columns) {
+  if (columns.includes("buffer_km")) return "country";
+  if (columns.some(c => datasetSchemas.plant.pattern.test(c))) return "plant";
+  return null;
+}
+
+// valid rows plus a message per rejected row (numbered as lines of the file)
+function validateDataset(kind, rows) {
+  const schema = datasetSchemas[kind];
+  const missing = [...schema.required, ...(schema.optional || [])].filter(
+    c => !rows.columns.includes(c)
+  );
+  if (kind === "plant" && !rows.columns.some(c => schema.pattern.test(c))) {
+    missing.push("pop{buffer}_{year}");
+  }
+  if (missing.length) return { missing };
+
+  const numeric = [...schema.numeric, ...rows.columns.filter(c => schema.pattern?.test(c))];
+  const seen = new Set();
+  const valid = [];
+  const errors = [];
+  rows.forEach((d, i) => {
+    // errors are message keys, translated when the report is drawn
+    const blank = schema.required.find(c => d[c] == null || d[c] === "");
+    const text = numeric.find(c => d[c] != null && typeof d[c] !== "number");
+    const error = blank
+      ? { error: "{column} is empty", params: { column: blank } }
+      : text
+        ? { error: "{column} is not a number (“{value}”)", params: { column: text, value: d[text] } }
+        : { error: schema.check(d) || (seen.has(schema.key(d)) ? "duplicate row" : null) };
+    if (error.error) {
+      errors.push({ line: i + 2, ...error });
+      return;
+    }
+    seen.add(schema.key(d));
+    valid.push(d);
+  });
+  valid.columns = rows.columns;
+  return { rows: valid, errors };
+}
+
+async function loadDatasetFiles(files) {
+  const reports = [];
+  for (const file of files) {
+    const rows = d3.csvParse(await file.text(), d3.autoType);
+    const kind = datasetKind(rows.columns);
+    if (!kind) {
+      reports.push({ file: file.name, refused: "not a country-long or plant-wide table" });
+      continue;
+    }
+    const { rows: valid, errors, missing } = validateDataset(kind, rows);
+    if (missing) {
+      reports.push({ file: file.name, refused: "missing {columns}", params: { columns: missing.join(", ") } });
+    } else if (!valid.length) {
+      reports.push({ file: file.name, refused: "no valid rows", errors });
+    } else {
+      if (kind === "country") countryRows = valid;
+      else plantRows = valid;
+      datasetFiles[kind] = file.name;
+      reports.push({ file: file.name, kind, rows: valid.length, errors });
+    }
+  }
+  if (reports.some(r => r.kind)) applyDataset();
+  datasetReports = reports;
+  const [first] = renderDatasetStatus();
+  if (first) announce(first);
+}
+
+// a file that could not be read leaves the current data in place
+function datasetLoadFailed(error) {
+  d3.select("#data-status").text(
+    t("Could not read the data files ({error})", { error: error.message })
+  );
+}
+
+function resetDataset() {
+  ({ countryRows, plantRows } = bundledData);
+  datasetFiles.country = null;
+  datasetFiles.plant = null;
+  applyDataset();
+  datasetReports = [];
+  renderDatasetStatus();
+}
+
+// rebuild the indexes and every control that lists buffers, years or regions
+function applyDataset() {
+  indexData();
+  if (state.timeline === "census") state.year = nearestCensusYear(state.year);
+  state.whatif = state.whatif
+    .map(p => makeHypotheticalPlant({ lon: p.lon, lat: p.lat, name: p.plant }))
+    .filter(Boolean);
+  if (!plantRows.some(d => d.plant_id === state.selectedPlantId)) state.selectedPlantId = null;
+
+  labelControls();
+  renderBufferLegend();
+  plantRegionOptions();
+  syncSplitYear();
+  syncControls();
+  renderAll();
+  renderJoinDiagnostics();
+}
+
+// the data in use and the last load's report; returns the report lines
+function renderDatasetStatus() {
+  const loaded = Object.entries(datasetFiles)
+    .filter(([, name]) => name)
+    .map(([kind, name]) => t("{file} ({table})", { file: name, table: t(datasetSchemas[kind].label) }));
+  d3.select("#data-reset").property("disabled", !loaded.length);
+  d3.select("#data-status").text(
+    loaded.length
+      ? t(
+          loaded.length > 1
+            ? "Using {first} and {second}; {buffers} buffers, census years {years}"
+            : "Using {first}; {buffers} buffers, census years {years}",
+          { first: loaded[0], second: loaded[1], buffers: buffers.length, years: years.join(", ") }
+        )
+      : t("Bundled data")
+  );
+
+  const messages = datasetReports.flatMap(r => [
+    r.refused
+      ? t("{file}: not loaded, {reason}", { file: r.file, reason: t(r.refused, r.params) })
+      : t(
+          r.errors.length
+            ? "{file}: {rows} rows loaded as the {table}, {skipped} skipped"
+            : "{file}: {rows} rows loaded as the {table}",
+          { file: r.file, rows: r.rows, table: t(datasetSchemas[r.kind].label), skipped: r.errors.length }
+        ),
+    ...(r.errors || [])
+      .slice(0, maxReportedRows)
+      .map(e => t("{file} line {line}: {error}", { file: r.file, line: e.line, error: t(e.error, e.params) })),
+    ...((r.errors || []).length > maxReportedRows
+      ? [t("{file}: {count} more rows skipped", { file: r.file, count: r.errors.length - maxReportedRows })]
+      : [])
+  ]);
+  d3.select("#data-report")
+    .selectAll("li")
+    .data(messages)
+    .join("li")
+    .text(d => d);
+  return messages;
+}
+
+function initDatasets() {
+  const dataFile = d3.select("#data-file");
+  d3.select("#data-load").on("click", () => dataFile.node().click());
+  dataFile.on("change", () => {
+    const files = Array.from(dataFile.node().files);
+    dataFile.property("value", "");
+    if (files.length) loadDatasetFiles(files).catch(datasetLoadFailed);
+  });
+  d3.select("#data-reset").on("click", resetDataset);
+
+  // drop anywhere on the page
+  const body = d3.select(document.body);
+  body
+    .on("dragover", event => {
+      if (!event.dataTransfer?.types.includes("Files")) return;
+      event.preventDefault();
+      body.classed("dropping", true);
+    })
+    .on("dragleave", event => {
+      if (!event.relatedTarget) body.classed("dropping", false);
+    })
+    .on("drop", event => {
+      event.preventDefault();
+      body.classed("dropping", false);
+      const files = Array.from(event.dataTransfer?.files || []).filter(f =>
+        /\.csv$/i.test(f.name)
+      );
+      if (files.length) loadDatasetFiles(files).catch(datasetLoadFailed);
+    });
+}
+
+// Join diagnostics: data rows with no map feature (their country is missing
+// from the map), features with no data (drawn like "no exposure"), which
+// property each match used, and codes that match more than once.
+function renderJoinDiagnostics() {
+  const matches = world.features.map(f => ({
+    name: featureName(f),
+    match: featureMatch(f),
+    codes: featureCodes(f)
+  }));
+  const featuresByIso3 = d3.group(
+    matches.filter(m => m.match),
+    m => m.match.iso3
+  );
+  const dataCountries = d3.rollup(
+    countryRows,
+    rows => ({ names: Array.from(new Set(rows.map(d => d.country))), rows: rows.length }),
+    d => d.iso3
+  );
+  const plantCounts = d3.rollup(plantRows, rows => rows.length, d => d.iso3 || "");
+
+  const unmatched = Array.from(new Set([...dataCountries.keys(), ...plantCounts.keys()]))
+    .filter(iso3 => iso3 && !featuresByIso3.has(iso3))
+    .sort();
+  const unmatchedRows = unmatched.map(iso3 => {
+    const data = dataCountries.get(iso3);
+    return t("{iso3} {name} — {rows} country rows, {plants} plants", {
+      iso3,
+      name: data ? data.names[0] : "",
+      rows: data?.rows || 0,
+      plants: plantCounts.get(iso3) || 0
+    });
+  });
+  if (plantCounts.get("")) {
+    unmatchedRows.push(t("{count} plants with no iso3", { count: plantCounts.get("") }));
+  }
+
+  const noCode = matches.filter(m => !m.match).map(m => m.name);
+  const noData = matches
+    .filter(m => m.match && !dataCountries.has(m.match.iso3))
+    .map(m => `${m.name} (${m.match.iso3})`);
+  const duplicates = Array.from(featuresByIso3)
+    .filter(([, list]) => list.length > 1)
+    .map(([iso3, list]) => `${iso3}: ${list.map(m => m.name).join(", ")}`);
+  const ambiguous = [
+    ...matches
+      .filter(m => new Set(m.codes.map(c => c.code)).size > 1)
+      .map(m => `${m.name}: ${m.codes.map(c => `${c.property} ${c.code}`).join(", ")}`),
+    ...Array.from(dataCountries)
+      .filter(([, d]) => d.names.length > 1)
+      .map(([iso3, d]) => t("{iso3} in the data: {names}", { iso3, names: d.names.join(", ") }))
+  ];
+  const byProperty = d3
+    .rollups(
+      matches.filter(m => m.match),
+      list => list.length,
+      m => m.match.property
+    )
+    .map(([property, n]) => `${property} ${n}`)
+    .join(", ");
+
+  const problems = unmatchedRows.length + noCode.length + duplicates.length + ambiguous.length;
+  const onMap = Array.from(dataCountries.keys()).filter(iso3 => featuresByIso3.has(iso3)).length;
+  d3.select("#join-summary").text(
+    [
+      t("{matched} of {features} features matched ({sources}); {onMap} of {countries} data countries are on the map.", {
+        matched: matches.length - noCode.length,
+        features: matches.length,
+        sources: byProperty,
+        onMap,
+        countries: dataCountries.size
+      }),
+      t(problems > 1 ? "{count} issues to check." : problems ? "1 issue to check." : "No issues.", { count: problems })
+    ].join(" ")
+  );
+
+  const sections = [
+    { title: "Data with no map feature", items: unmatchedRows, open: true },
+    { title: "Features with no usable code", items: noCode, open: true },
+    { title: "Codes matched by several features", items: duplicates, open: true },
+    { title: "Ambiguous codes", items: ambiguous, open: true },
+    { title: "Features with no data (drawn as no exposure)", items: noData, open: false }
+  ];
+  const details = d3
+    .select("#join-report")
+    .selectAll("details")
+    .data(sections, d => d.title)
+    .join(enter => {
+      const el = enter.append("details");
+      el.append("summary");
+      el.append("ul");
+      return el;
+    })
+    .classed("has-issues", d => d.open && d.items.length > 0)
+    .property("open", d => d.open && d.items.length > 0);
+  details.select("summary").text(d => t("{title} ({count})", { title: t(d.title), count: d.items.length }));
+  details
+    .select("ul")
+    .selectAll("li")
+    .data(d => d.items)
+    .join("li")
+    .text(d => d);
+
+  // every feature and where its code came from
+  renderDataTable(
+    d3.select("#join-table"),
+    t("Features and the property their code came from"),
+    [
+      { label: t("Feature"), value: d => d.name },
+      { label: t("Code"), value: d => d.match?.iso3 },
+      { label: t("Property"), value: d => d.match?.property },
+      {
+        label: t("Alias"),
+        value: d =>
+          d.match?.alias
+            ? t("{from} → {to} ({kind})", { from: d.match.code ?? d.name, to: d.match.iso3, kind: t(d.match.alias) })
+            : null
+      },
+      { label: t("Data rows"), value: d => dataCountries.get(d.match?.iso3)?.rows ?? 0 }
+    ],
+    matches.slice().sort((a, b) => d3.ascending(a.name, b.name))
+  );
+
+  const aliases = Object.entries(userAliases).sort((a, b) => d3.ascending(a[0], b[0]));
+  d3.select("#alias-list")
+    .selectAll("li")
+    .data(aliases, d => d[0])
+    .join(enter => {
+      const li = enter.append("li");
+      li.append("span");
+      li.append("button").attr("type", "button");
+      return li;
+    })
+    .call(li => li.select("span").text(([from, to]) => `${from} → ${to} `))
+    .call(li =>
+      li
+        .select("button")
+        .text(t("Remove"))
+        .attr("aria-label", ([from]) => t("Remove the alias for {from}", { from }))
+        .on("click", (event, [from]) => setAlias(from, null))
+    );
+}
+
+// add (or with `to` null, remove) an alias, then redraw everything it touches
+function setAlias(from, to) {
+  if (to) userAliases = { ...userAliases, [from]: to };
+  else userAliases = Object.fromEntries(Object.entries(userAliases).filter(([k]) => k !== from));
+  saveUserAliases();
+  renderAll();
+  renderJoinDiagnostics();
+}
+
+function initJoinDiagnostics() {
+  d3.select("#alias-form").on("submit", event => {
+    event.preventDefault();
+    const fromInput = d3.select("#alias-from");
+    const toInput = d3.select("#alias-to");
+    const raw = fromInput.property("value").trim();
+    const to = toInput.property("value").trim().toUpperCase();
+    // codes are matched upper-case; anything else is a feature name
+    const from = /^[A-Za-z]{3}$/.test(raw) ? raw.toUpperCase() : raw;
+    if (!from || !/^[A-Z]{3}$/.test(to)) {
+      d3.select("#alias-status").text(t("Enter a feature code or name and a three-letter data code."));
+      return;
+    }
+    // names are only looked up for features without a code, so alias the code instead
+    const named = world.features.find(f => featureName(f) === from && featureCodes(f).length);
+    if (named) {
+      d3.select("#alias-status").text(
+        t("{name} has the code {code}; enter that code instead.", { name: from, code: featureCodes(named)[0].code })
+      );
+      return;
+    }
+    d3.select("#alias-status").text("");
+    fromInput.property("value", "");
+    toInput.property("value", "");
+    setAlias(from, to);
+  });
+  renderJoinDiagnostics();
+}
+
+// Export: data behind the current view as CSV / JSON, figures as SVG / PNG.
+// Every file carries the year, buffer and mode it was made with.
+function exportMetadata(subject) {
+  const ix = exposureIndex();
+  const prevYear = ix.previousYear(state.year);
+  const metadata = {
+    subject,
+    year: state.year,
+    buffer_km: state.buffer,
+    timeline: state.timeline,
+    population: state.popType,
+    map_metric: activeMetric(prevYear)
+  };
+  if (prevYear != null) metadata.change_since = prevYear;
+  if (state.split) {
+    // the right map: same metric, its own year and buffer
+    const splitPrevYear = ix.previousYear(state.splitYear);
+    metadata.split = state.split;
+    metadata.split_year = state.splitYear;
+    metadata.split_buffer_km = state.splitBuffer;
+    if (splitPrevYear != null) metadata.split_change_since = splitPrevYear;
+  }
+  if (state.level !== "country") metadata.level = state.level;
+  if (state.selectedRegion) metadata.region = state.selectedRegion;
+  if (metadata.map_metric === "change") metadata.change_mode = state.changeMode;
+  metadata.classification = state.classification;
+  if (state.showOverlap) metadata.overlap_mode = true;
+  metadata.projection = state.projection;
+  if (state.fit !== "world") metadata.map_view = state.fit;
+  if (state.whatif.length) metadata.hypothetical_plants = state.whatif.length;
+  if (datasetFiles.country) metadata.country_data = datasetFiles.country;
+  if (datasetFiles.plant) metadata.plant_data = datasetFiles.plant;
+  const countries = selectedCountries();
+  if (countries.length) metadata.countries = countries.join(",");
+  metadata.view_url = window.location.href;
+  metadata.exported_at = new Date().toISOString();
+  return metadata;
+}
+
+function exportFileName(subject, extension) {
+  const parts = ["exposure", subject, state.year, `${state.buffer}km`];
+  if (state.timeline !== "census") parts.push(state.timeline);
+  if (state.popType !== "total") parts.push(state.popType);
+  return `${parts.join("-")}.${extension}`;
+}
+
+// country (or region) rows coloured on the map for the current year and buffer
+function mapExportRows() {
+  const ix = mapIndex();
+  const prevYear = ix.previousYear(state.year);
+  return ix.rows
+    .filter(
+      d =>
+        d.year === state.year &&
+        d.buffer_km === state.buffer &&
+        (mapShowsRegions() || !mapDimmed(d.iso3))
+    )
+    .map(d => {
+      const row = countryExportRow(d);
+      if (prevYear != null) {
+        const key = keyDelta(d.iso3, d.year, d.buffer_km);
+        row[`change_since_${prevYear}`] = ix.deltaByKey.get(key) ?? null;
+        row[`gain_since_${prevYear}`] = ix.grossByKey.get(key)?.gain ?? null;
+        row[`loss_since_${prevYear}`] = ix.grossByKey.get(key)?.loss ?? null;
+      }
+      return row;
+    });
+}
+
+// every buffer for the selected (and compared) countries
+function detailExportRows() {
+  const ix = exposureIndex();
+  return selectedCountries().flatMap(iso3 =>
+    buffers
+      .map(b => ix.byKey.get(keyExposure(iso3, state.year, b)))
+      .filter(Boolean)
+      .map(countryExportRow)
+  );
+}
+
+function countryExportRow(d) {
+  const row = {
+    iso3: d.iso3,
+    country: d.country,
+    region: d.region,
+    year: d.year,
+    buffer_km: d.buffer_km,
+    pop_near: popNear(d),
+    pct_near: pctNear(d),
+    num_plants: d.num_plants,
+    pop_near_urban: d.pop_near_urban,
+    pop_near_rural: d.pop_near_rural,
+    pop_total: d.pop_total
+  };
+  if (d.num_countries != null) {
+    row.num_countries = d.num_countries;
+  } else {
+    row.pop_near_unique = uniquePopNear(d);
+  }
+  return row;
+}
+
+function plantExportRows() {
+  const { rows, plantPop } = visiblePlants();
+  return rows.map(d => ({
+    plant_id: d.plant_id,
+    plant: d.plant,
+    country: d.country,
+    iso3: d.iso3,
+    region: d.region,
+    lat: d.lat,
+    lon: d.lon,
+    num_reactors: d.num_reactors,
+    year: state.year,
+    buffer_km: state.buffer,
+    pop_near: plantPop(d),
+    pop_near_urban: plantPop(d, "urban"),
+    pop_near_rural: plantPop(d, "rural")
+  }));
+}
+
+const exportDatasets = {
+  countries: mapExportRows,
+  detail: detailExportRows,
+  plants: plantExportRows
+};
+
+function exportData(subject, format) {
+  const rows = exportDatasets[subject]();
+  const metadata = exportMetadata(subject);
+  let blob;
+  if (format === "json") {
+    blob = new Blob([JSON.stringify({ metadata, rows }, null, 2)], { type: "application/json" });
+  } else {
+    // the metadata as "# key: value" comment lines above the table
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+    const header = Object.entries(metadata).map(([key, value]) => `# ${key}: ${value}\n`);
+    blob = new Blob([...header, d3.csvFormat(rows, columns)], { type: "text/csv" });
+  }
+  downloadBlob(blob, exportFileName(subject, format));
+}
+
+// width and height of an svg on the page, including anything drawn past its
+// width/height attributes (legend labels at the ends of the axis)
+function svgSize(node) {
+  const width = +node.getAttribute("width");
+  const height = +node.getAttribute("height");
+  if (!node.getBBox) return { width, height };
+  const box = node.getBBox();
+  return { width: Math.max(width, box.x + box.width), height: Math.max(height, box.y + box.height) };
+}
+
+// A standalone copy of a figure: heading, the chart(s) stacked, and a
+// caption with the settings; the metadata also goes into <metadata>. Split
+// maps are laid side by side under their labels.
+function figureSvg(subject) {
+  const metadata = exportMetadata(subject);
+  const legend = d3.select("#map-legend svg").node();
+  const parts =
+    subject === "map"
+      ? [
+          state.split
+            ? { node: splitFigure(), width: 2 * mapWidth, height: mapHeight + 18 }
+            : { node: mapSvg.node(), width: mapWidth, height: mapHeight },
+          legend && { node: legend, ...svgSize(legend), inset: 10 }
+        ]
+      : [
+          { node: detailSvg.node(), width: detailWidth, height: detailHeight },
+          compareSvg.style("display") !== "none" && {
+            node: compareSvg.node(),
+            width: detailWidth,
+            height: compareHeight
+          }
+        ];
+  const heading = subject === "map" ? d3.select("#map-container h2").text() : detailTitle.text();
+  const width = subject === "map" ? (state.split ? 2 * mapWidth : mapWidth) : detailWidth;
+  const headingHeight = 28;
+  const captionHeight = 22;
+
+  const svg = d3
+    .create("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("font-family", "system-ui, sans-serif");
+  svg.append("metadata").text(JSON.stringify(metadata));
+  svg.append("title").text(heading);
+  svg.append("rect").attr("class", "background").attr("fill", "#fff");
+
+  svg
+    .append("text")
+    .attr("x", 10)
+    .attr("y", 19)
+    .attr("font-size", 15)
+    .attr("font-weight", 600)
+    .text(heading);
+
+  let y = headingHeight;
+  parts.filter(p => p && p.node).forEach(p => {
+    const copy = figureCopy(p.node);
+    svg
+      .append(() => copy)
+      .attr("x", p.inset || 0)
+      .attr("y", y)
+      .attr("width", p.width)
+      .attr("height", p.height)
+      .attr("viewBox", `0 0 ${p.width} ${p.height}`);
+    y += p.height;
+  });
+
+  // the page's CSS rules for the copied marks (.selected, .story-highlight,
+  // .hovered, cluster labels …), so the file looks the same without styles.css
+  const css = [...document.styleSheets]
+    .flatMap(sheet => [...sheet.cssRules])
+    .filter(rule => rule.selectorText && svg.node().querySelector(rule.selectorText))
+    .map(rule => rule.cssText);
+  if (css.length) svg.insert("style", "title").text(css.join("\n"));
+
+  const captionParts = [
+    `${metadata.year}`,
+    formatDistance(metadata.buffer_km),
+    t(metadata.timeline === "annual" ? "year by year" : "census years"),
+    t({ total: "total population", urban: "urban population", rural: "rural population" }[metadata.population]),
+    metadata.change_since != null ? t("change since {year}", { year: metadata.change_since }) : t("baseline")
+  ];
+  if (metadata.countries) captionParts.push(metadata.countries);
+  svg
+    .append("text")
+    .attr("x", 10)
+    .attr("y", y + 15)
+    .attr("font-size", 10)
+    .attr("fill", "#666")
+    .text(t("{caption} · exported {date}", { caption: captionParts.join(" · "), date: metadata.exported_at.slice(0, 10) }));
+
+  const height = y + captionHeight;
+  svg.attr("width", width).attr("height", height).attr("viewBox", `0 0 ${width} ${height}`);
+  svg.select("rect.background").attr("width", width).attr("height", height);
+
+  return { svg: svg.node(), width, height, metadata };
+}
+
+// both split maps next to each other, each under its "Left: …" label
+function splitFigure() {
+  const svg = d3
+    .create("svg")
+    .attr("width", 2 * mapWidth)
+    .attr("height", mapHeight + 18);
+  [
+    [mapSvg, "#split-label-left"],
+    [splitSvg, "#split-label-right"]
+  ].forEach(([map, label], i) => {
+    svg
+      .append("text")
+      .attr("x", i * mapWidth + 10)
+      .attr("y", 13)
+      .attr("font-size", 11)
+      .text(d3.select(label).text());
+    const copy = figureCopy(map.node());
+    svg
+      .append(() => copy)
+      .attr("x", i * mapWidth)
+      .attr("y", 18)
+      .attr("width", mapWidth)
+      .attr("height", mapHeight);
+  });
+  return svg.node();
+}
+
+// a chart svg to embed in a figure; maps keep their SVG country paths, not
+// the zoomed-in detail canvas
+function figureCopy(node) {
+  const copy = node.cloneNode(true);
+  copy.removeAttribute("id");
+  copy.removeAttribute("style");
+  copy.classList.remove("detail-canvas");
+  copy.querySelector(".detail-layer")?.remove();
+  return copy;
+}
+
+async function exportFigure(subject, format) {
+  const { svg, width, height, metadata } = figureSvg(subject);
+  const markup = new XMLSerializer().serializeToString(svg);
+  if (format === "svg") {
+    downloadBlob(new Blob([markup], { type: "image/svg+xml" }), exportFileName(subject, "svg"));
+    return;
+  }
+
+  // rasterise at twice the layout size
+  const scale = 2;
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext("2d");
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    const png = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+    const bytes = pngWithText(new Uint8Array(await png.arrayBuffer()), metadata);
+    downloadBlob(new Blob([bytes], { type: "image/png" }), exportFileName(subject, "png"));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Insert the metadata as PNG tEXt chunks right after the IHDR chunk
+// (8-byte signature + 25-byte IHDR), so it survives with the image file.
+function pngWithText(bytes, metadata) {
+  const encoder = new TextEncoder();
+  const chunks = Object.entries(metadata).map(([key, value]) => {
+    const data = encoder.encode(`${key}\0${value}`);
+    const type = encoder.encode("tEXt");
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(type, 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+  });
+  const headerEnd = 8 + 25;
+  const extra = d3.sum(chunks, c => c.length);
+  const out = new Uint8Array(bytes.length + extra);
+  out.set(bytes.subarray(0, headerEnd), 0);
+  let offset = headerEnd;
+  chunks.forEach(c => {
+    out.set(c, offset);
+    offset += c.length;
+  });
+  out.set(bytes.subarray(headerEnd), offset);
+  return out;
+}
+
+let crcTable;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = d3.range(256).map(n => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      return c >>> 0;
+    });
+  }
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function initExport() {
+  d3.selectAll("#export-controls button").on("click", function () {
+    const format = this.dataset.format;
+    exportStatus.text("");
+    if (format === "csv" || format === "json") {
+      exportData(exportDataSelect.property("value"), format);
+    } else {
+      exportFigure(exportFigureSelect.property("value"), format).catch(() => {
+        exportStatus.text(t("Could not export the figure"));
+      });
+    }
+  });
+}
+
+// Story mode: a guided walk through the questions the page answers. Each step
+// starts from the default view and sets `state` from its `state` entry, frames
+// the map on a mapFits preset or on its highlights ("highlight") and marks
+// countries and plants. Entries that depend on the data are functions of
+// (censusIndex, view), `view` being the step's year and buffer checked against
+// the data. Readers page with the buttons or by scrolling the step cards, and
+// "Explore from here" leaves story mode keeping the step's view.
+const storySteps = [
+  {
+    title: "Who lived near a plant in 1990",
+    state: { year: 1990, buffer: 30, showPlants: true },
+    zoom: "world",
+    highlight: { countries: (ix, view) => storyTop(storyRows(ix, view), popNear, 5).map(d => d.iso3) },
+    text: (ix, view) => {
+      const rows = storyRows(ix, view);
+      const total = d3.sum(rows, d => uniquePopNear(d));
+      const top = storyTop(rows, popNear, 5);
+      return t(
+        "In {year}, about {people} people lived within {distance} of a nuclear power plant, counting each country once. {countries} had the most, {share} of them together.",
+        {
+          year: view.year,
+          people: formatPeople(total),
+          distance: formatDistance(view.buffer),
+          countries: listPhrase(top.map(d => d.country)),
+          share: formatPct((d3.sum(top, d => uniquePopNear(d)) / total) * 100)
+        }
+      );
+    }
+  },
+  {
+    title: "Where they lived",
+    state: { year: 1990, buffer: 30, showPlants: true },
+    zoom: "highlight",
+    highlight: { countries: (ix, view) => storyRegions(ix, view)[0]?.iso3s },
+    text: (ix, view) => {
+      const [first, second] = storyRegions(ix, view);
+      if (!first) return "";
+      const total = d3.sum(storyRows(ix, view), d => uniquePopNear(d));
+      return t(
+        second
+          ? "{region} had the most people near plants in {year}: {people}, {share} of the total, ahead of {next} with {nextPeople}."
+          : "{region} had the most people near plants in {year}: {people}, {share} of the total.",
+        {
+          region: first.region,
+          year: view.year,
+          people: formatPeople(first.pop),
+          share: formatPct((first.pop / total) * 100),
+          next: second?.region,
+          nextPeople: second && formatPeople(second.pop)
+        }
+      );
+    }
+  },
+  {
+    title: "Newly exposed in the 1990s",
+    state: { year: 2000, buffer: 30, metric: "change", changeMode: "gain", showPlants: true },
+    zoom: "world",
+    highlight: { countries: (ix, view) => storyGainers(ix, view).map(d => d.iso3) },
+    text: storyGainsText
+  },
+  {
+    title: "Newly exposed in the 2000s",
+    state: { year: 2010, buffer: 30, metric: "change", changeMode: "gain", showPlants: true },
+    zoom: "highlight",
+    highlight: { countries: (ix, view) => storyGainers(ix, view).map(d => d.iso3) },
+    text: storyGainsText
+  },
+  {
+    title: "The most crowded surroundings",
+    state: {
+      year: 2010,
+      buffer: 30,
+      showPlants: true,
+      selectedPlantId: (ix, view) => storyPlants(view)[0]?.plant_id ?? null
+    },
+    zoom: "highlight",
+    highlight: { plants: (ix, view) => storyPlants(view).map(d => d.plant_id) },
+    text: (ix, view) => {
+      const [first, ...rest] = storyPlants(view);
+      if (!first) return "";
+      const pop = d => formatPeople(plantPopulation(d, view.year, view.buffer));
+      return t(
+        "{plant} ({country}) had {people} people within {distance} in {year}, more than any other plant. Next came {plants}.",
+        {
+          plant: first.plant,
+          country: first.country,
+          people: pop(first),
+          distance: formatDistance(view.buffer),
+          year: view.year,
+          plants: listPhrase(rest.map(d => `${d.plant} (${pop(d)})`))
+        }
+      );
+    }
+  },
+  {
+    title: "How exposure grows with distance",
+    state: {
+      year: 2010,
+      buffer: 30,
+      selectedIso3: (ix, view) => storyTop(storyRows(ix, view), popNear, 1)[0]?.iso3 ?? null
+    },
+    zoom: "highlight",
+    highlight: { countries: (ix, view) => storyTop(storyRows(ix, view), popNear, 1).map(d => d.iso3) },
+    text: (ix, view) => {
+      const [top] = storyTop(storyRows(ix, view), popNear, 1);
+      if (!top) return "";
+      // five times the distance or more
+      const far = buffers.find(b => b >= view.buffer * 5) ?? buffers[buffers.length - 1];
+      const farRow = ix.byKey.get(keyExposure(top.iso3, view.year, far));
+      return t(
+        farRow
+          ? "{country} had the most people near plants in {year}: {people} within {distance}, and {farPeople} within {far}, counting people near several plants once. The chart below shows each distance, and how it changed over time."
+          : "{country} had the most people near plants in {year}: {people} within {distance}, counting people near several plants once. The chart below shows each distance, and how it changed over time.",
+        {
+          country: top.country,
+          year: view.year,
+          people: formatPeople(uniquePopNear(top)),
+          distance: formatDistance(view.buffer),
+          farPeople: farRow && formatPeople(uniquePopNear(farRow)),
+          far: formatDistance(far)
+        }
+      );
+    }
+  },
+  {
+    title: "Explore on your own",
+    state: {},
+    zoom: "world",
+    text: () =>
+      t(
+        "Change the year, distance or map colour, click countries to see and compare their profiles, or turn on the plants and reactors. Explore from here keeps the current view."
+      )
+  }
+];
+
+const storyPanel = d3.select("#story-panel");
+const storyList = d3.select("#story-steps");
+let storyScrolledTo = null; // step whose card was last scrolled into view
+let storyScrollTimer = null;
+
+// a step entry, or its value for the step's view
+function storyValue(value, view) {
+  return typeof value === "function" ? value(censusIndex, view) : value;
+}
+
+// the step's year and buffer where the data has them, otherwise the defaults
+function storyView(step) {
+  const { year, buffer } = step.state;
+  return {
+    year: year == null ? d3.max(years) : nearestCensusYear(year),
+    buffer: buffers.includes(buffer) ? buffer : buffers[0]
+  };
+}
+
+function storyRows(ix, view) {
+  return ix.rows.filter(d => d.year === view.year && d.buffer_km === view.buffer && d.num_plants > 0);
+}
+
+function storyTop(rows, value, count) {
+  return rows
+    .filter(d => value(d) > 0)
+    .sort((a, b) => d3.descending(value(a), value(b)))
+    .slice(0, count);
+}
+
+// regions by people near plants (counted once per country), largest first
+function storyRegions(ix, view) {
+  return d3
+    .rollups(
+      storyRows(ix, view).filter(d => d.region),
+      rows => ({ pop: d3.sum(rows, d => uniquePopNear(d)), iso3s: rows.map(d => d.iso3) }),
+      d => d.region
+    )
+    .map(([region, d]) => ({ region, ...d }))
+    .sort((a, b) => d3.descending(a.pop, b.pop));
+}
+
+function storyGain(ix, row) {
+  return ix.grossByKey.get(keyDelta(row.iso3, row.year, row.buffer_km))?.gain;
+}
+
+function storyGainers(ix, view) {
+  return storyTop(storyRows(ix, view), d => storyGain(ix, d), 5);
+}
+
+function storyGainsText(ix, view) {
+  const prevYear = ix.previousYear(view.year);
+  if (prevYear == null) return t("There is no census year before {year} to compare with.", { year: view.year });
+  const gross = storyRows(ix, view)
+    .map(d => ix.grossByKey.get(keyDelta(d.iso3, d.year, d.buffer_km)))
+    .filter(Boolean);
+  const top = storyGainers(ix, view);
+  return t(
+    "Between {from} and {to}, {gained} people came within {distance} of a plant, as plants opened and towns around existing ones grew, while {lost} were no longer near one (summed over plants). The largest gains were in {countries}.",
+    {
+      from: prevYear,
+      to: view.year,
+      gained: formatPeople(d3.sum(gross, d => d.gain)),
+      distance: formatDistance(view.buffer),
+      lost: formatPeople(d3.sum(gross, d => d.loss)),
+      countries: listPhrase(top.map(d => `${d.country} (${formatSignedPeople(storyGain(ix, d))})`))
+    }
+  );
+}
+
+// plants with the most people around them
+function storyPlants(view) {
+  const pop = d => plantPopulation(d, view.year, view.buffer);
+  return plantRows
+    .filter(d => pop(d) != null)
+    .sort((a, b) => d3.descending(pop(a), pop(b)))
+    .slice(0, 5);
+}
+
+// countries and plants the current step marks on the map
+function storyHighlights(step = storySteps[state.story]) {
+  const view = step && storyView(step);
+  const ids = value => new Set((step && storyValue(value, view)) || []);
+  return { countries: ids(step?.highlight?.countries), plants: ids(step?.highlight?.plants) };
+}
+
+// the step's preset view, or its highlighted countries and plants framed
+function storyTransform(step) {
+  if (step.zoom !== "highlight") {
+    return mapFits[step.zoom]?.bounds
+      ? frameTransform(fitTarget(step.zoom), 4)
+      : d3.zoomIdentity;
+  }
+  const { countries, plants } = storyHighlights(step);
+  const features = world.features.filter(f => countries.has(featureIso3(f)));
+  const points = plantRows.filter(d => plants.has(d.plant_id)).map(d => [d.lon, d.lat]);
+  if (points.length) features.push({ type: "Feature", geometry: { type: "MultiPoint", coordinates: points } });
+  if (!features.length) return d3.zoomIdentity;
+  return frameTransform({ type: "FeatureCollection", features }, 4);
+}
+
+// The default view, as on a page without a query string. The language, units
+// and hypothetical plants are the reader's and stay as they are.
+function resetView() {
+  Object.assign(state, {
+    timeline: "census",
+    year: d3.max(years),
+    buffer: buffers[0],
+    popType: "total",
+    level: "country",
+    selectedRegion: null,
+    metric: "auto",
+    changeMode: "net",
+    classification: "linear",
+    showOverlap: false,
+    projection: "natural",
+    fit: "world",
+    rotate: globeRotation("world"),
+    split: null,
+    selectedPlantId: null,
+    showPlants: false,
+    showReactors: false,
+    reactorStatuses: reactorStatusGroups.slice(),
+    story: null
+  });
+  state.splitYear = exposureIndex().previousYear(state.year) ?? state.year;
+  state.splitBuffer = state.buffer;
+  setSelection([]);
+}
+
+// Go to a step. As with drilling into a region, the zoom's end handler
+// records one history entry for the new view. Hypothetical plants are not part
+// of the view and stay through the tour; the panel says so.
+function showStoryStep(index) {
+  const step = storySteps[index];
+  const view = storyView(step);
+  if (state.playing) stopPlayback();
+  resetView();
+  Object.entries(step.state).forEach(([key, value]) => {
+    state[key] = storyValue(value, view);
+  });
+  Object.assign(state, view, { story: index });
+  syncControls();
+  setProjection();
+  mapSvg.call(mapG.node().__zoomBehavior__.transform, storyTransform(step));
+  renderAll();
+  announce([`${t(step.title)}.`, step.text(censusIndex, view), storyWhatifNote()].filter(Boolean).join(" "));
+}
+
+// the tour's figures include any hypothetical plants, which it leaves in place
+function storyWhatifNote() {
+  const count = state.whatif.length;
+  if (!count) return "";
+  return t(
+    count > 1
+      ? "Your {count} hypothetical plants stay on the map and in the figures; clear them in the what-if controls."
+      : "Your hypothetical plant stays on the map and in the figures; clear it in the what-if controls.",
+    { count }
+  );
+}
+
+function leaveStory() {
+  state.story = null;
+  renderAll();
+}
+
+function renderStory() {
+  const active = state.story != null;
+  d3.select("body").classed("story", active);
+  storyPanel.style("display", active ? null : "none");
+  const highlighted = storyHighlights().countries;
+  mapG.node().__countryPaths__?.classed("story-highlight", d => highlighted.has(featureIso3(d)));
+  if (!active) {
+    storyScrolledTo = null;
+    return;
+  }
+
+  const cards = storyList
+    .selectAll("section.story-step")
+    .data(storySteps)
+    .join(enter => {
+      const section = enter.append("section").attr("class", "story-step");
+      section.append("h3");
+      section.append("p");
+      return section;
+    })
+    .classed("active", (d, i) => i === state.story)
+    .on("click", (event, d) => {
+      const index = storySteps.indexOf(d);
+      if (index !== state.story) showStoryStep(index);
+    });
+  cards.select("h3").text(d => t(d.title));
+  cards.select("p").text(d => d.text(censusIndex, storyView(d)));
+  d3.select("#story-note").text(storyWhatifNote());
+
+  d3.select("#story-count").text(
+    t("Step {step} of {count}", { step: state.story + 1, count: storySteps.length })
+  );
+  d3.select("#story-prev").property("disabled", state.story === 0);
+  d3.select("#story-next").property("disabled", state.story === storySteps.length - 1);
+
+  // the list is positioned, so a card's offsetTop is its place in the list
+  const list = storyList.node();
+  if (storyScrolledTo !== state.story && list.scrollTo) {
+    list.scrollTo({ top: cards.nodes()[state.story].offsetTop, behavior: "smooth" });
+  }
+  storyScrolledTo = state.story;
+}
+
+function initStory() {
+  d3.select("#story-start").on("click", () => showStoryStep(0));
+  d3.select("#story-prev").on("click", () => showStoryStep(Math.max(0, state.story - 1)));
+  d3.select("#story-next").on("click", () =>
+    showStoryStep(Math.min(storySteps.length - 1, state.story + 1))
+  );
+  d3.select("#story-exit").on("click", leaveStory);
+
+  // scrolling the cards: once it settles, the card nearest the top is the step
+  storyList.on("scroll", () => {
+    clearTimeout(storyScrollTimer);
+    storyScrollTimer = setTimeout(() => {
+      const top = storyList.node().getBoundingClientRect().top;
+      const index = d3.minIndex(storyList.selectAll("section.story-step").nodes(), node =>
+        Math.abs(node.getBoundingClientRect().top - top)
+      );
+      if (index < 0 || index === state.story) return;
+      storyScrolledTo = index;
+      showStoryStep(index);
+    }, 150);
+  });
+}
+
+// URL state: the view lives in the query string so it can be linked to,
+// and every change the user makes is a history entry for back/forward.
+let restoringUrl = false;
+let playbackEntryPushed = false;
+
+function stateToParams() {
+  const params = new URLSearchParams();
+  params.set("year", state.year);
+  params.set("buffer", state.buffer);
+  if (state.timeline !== "census") params.set("timeline", state.timeline);
+  if (state.popType !== "total") params.set("pop", state.popType);
+  if (state.locale !== "en") params.set("lang", state.locale);
+  if (state.units !== "km") params.set("units", state.units);
+  if (state.selectedIso3) params.set("country", selectedCountries().join(","));
+  if (state.level !== "country") params.set("level", state.level);
+  if (state.selectedRegion) params.set("region", state.selectedRegion);
+  if (state.metric !== "auto") params.set("metric", state.metric);
+  if (state.changeMode !== "net") params.set("change", state.changeMode);
+  if (state.classification !== "linear") params.set("classes", state.classification);
+  if (state.showOverlap) params.set("overlap", "1");
+  if (state.projection !== "natural") params.set("projection", state.projection);
+  if (state.fit !== "world") params.set("fit", state.fit);
+  if (globeProjection()) params.set("rotate", state.rotate.map(d => +d.toFixed(1)).join(","));
+  if (state.split) {
+    params.set("split", state.split);
+    params.set("split_year", state.splitYear);
+    params.set("split_buffer", state.splitBuffer);
+  }
+  if (state.selectedPlantId != null) params.set("plant", state.selectedPlantId);
+  if (state.showPlants) params.set("plants", "1");
+  if (state.showReactors) params.set("reactors", "1");
+  if (state.reactorStatuses.length !== reactorStatusGroups.length) {
+    params.set("status", state.reactorStatuses.join(","));
+  }
+  if (state.story != null) params.set("story", state.story + 1);
+
+  const transform = d3.zoomTransform(mapSvg.node());
+  if (transform.k !== 1 || transform.x !== 0 || transform.y !== 0) {
+    params.set(
+      "zoom",
+      [+transform.k.toFixed(3), +transform.x.toFixed(1), +transform.y.toFixed(1)].join(",")
+    );
+  }
+  return params;
+}
+
+// query string with readable commas in list values
+function stateToSearch() {
+  return `?${stateToParams().toString().replace(/%2C/g, ",")}`;
+}
+
+// Read a query string into `state`, ignoring anything that doesn't fit the data.
+// Returns the zoom transform to restore.
+function applyParams(params) {
+  const timeline = params.get("timeline") === "annual" ? "annual" : "census";
+  state.timeline = timeline;
+
+  const year = +params.get("year");
+  const timelineYears = exposureIndex().years;
+  state.year = timelineYears.includes(year) ? year : d3.max(years);
+
+  const buffer = +params.get("buffer");
+  state.buffer = buffers.includes(buffer) ? buffer : buffers[0];
+
+  const popType = params.get("pop");
+  state.popType = popTypes.includes(popType) ? popType : "total";
+  const lang = params.get("lang");
+  state.locale = Object.hasOwn(localeNames, lang) ? lang : "en";
+  state.units = params.get("units") === "mi" ? "mi" : "km";
+
+  setSelection(
+    (params.get("country") || "")
+      .toUpperCase()
+      .split(",")
+      .filter(iso3 => /^[A-Z]{3}$/.test(iso3))
+  );
+
+  state.level = params.get("level") === "region" ? "region" : "country";
+  const region = params.get("region");
+  state.selectedRegion =
+    state.level === "region" && regionIndex().byCountry.has(region) ? region : null;
+
+  const metric = params.get("metric");
+  const changeMode = params.get("change");
+  state.changeMode = Object.hasOwn(changeModes, changeMode) ? changeMode : "net";
+  state.metric = Object.hasOwn(mapMetrics, metric) ? metric : "auto";
+  const classification = params.get("classes");
+  state.classification = classifications.includes(classification) ? classification : "linear";
+
+  state.showOverlap = params.get("overlap") === "1";
+  const projection = params.get("projection");
+  state.projection = Object.hasOwn(mapProjections, projection) ? projection : "natural";
+  const fit = params.get("fit");
+  state.fit = Object.hasOwn(mapFits, fit) ? fit : "world";
+  const rotate = (params.get("rotate") || "").split(",").map(Number);
+  state.rotate =
+    rotate.length === 2 && rotate.every(isFinite) ? rotate : globeRotation(state.fit);
+  const split = params.get("split");
+  state.split = split === "side" || split === "swipe" ? split : null;
+  const splitYear = +params.get("split_year");
+  state.splitYear = timelineYears.includes(splitYear)
+    ? splitYear
+    : exposureIndex().previousYear(state.year) ?? state.year;
+  const splitBuffer = +params.get("split_buffer");
+  state.splitBuffer = buffers.includes(splitBuffer) ? splitBuffer : state.buffer;
+  // plant ids can be numbers or strings in the CSV, so compare them as text
+  const plantId = params.get("plant");
+  state.selectedPlantId = plantRows.find(d => String(d.plant_id) === plantId)?.plant_id ?? null;
+  state.showPlants = params.get("plants") === "1";
+  state.showReactors = params.get("reactors") === "1";
+
+  state.reactorStatuses = params.has("status")
+    ? params
+        .get("status")
+        .split(",")
+        .filter(s => reactorStatusGroups.includes(s))
+    : reactorStatusGroups.slice();
+  const story = +params.get("story") - 1;
+  state.story = Number.isInteger(story) && story >= 0 && story < storySteps.length ? story : null;
+
+  const [k, x, y] = (params.get("zoom") || "").split(",").map(Number);
+  if ([k, x, y].every(Number.isFinite) && k >= 1 && k <= 6) {
+    return d3.zoomIdentity.translate(x, y).scale(k);
+  }
+  return d3.zoomIdentity;
+}
+
+// put the controls back in line with `state`
+function syncControls() {
+  syncYearSlider();
+  bufferSelect.property("value", String(state.buffer));
+  popTypeSelect.property("value", state.popType);
+  labelControls();
+  toggleAnnual.property("checked", state.timeline === "annual");
+  syncRegionControls();
+  metricSelect.property("value", state.metric);
+  changeModeSelect.property("value", state.changeMode);
+  classifySelect.property("value", state.classification);
+  toggleOverlap.property("checked", state.showOverlap);
+  projectionSelect.property("value", state.projection);
+  fitSelect.property("value", state.fit);
+  togglePlants.property("checked", state.showPlants);
+  toggleReactors.property("checked", state.showReactors);
+  reactorStatusInputs.property("checked", function () {
+    return state.reactorStatuses.includes(this.value);
+  });
+}
+
+// Record the current view. New views push a history entry; playback pushes
+// its first frame and replaces it with later ones so back/forward skip them.
+function updateUrl() {
+  if (restoringUrl) return;
+  const search = stateToSearch();
+  if (search === window.location.search) return;
+  const replace = state.playing && playbackEntryPushed;
+  window.history[replace ? "replaceState" : "pushState"](null, "", search);
+  if (state.playing) playbackEntryPushed = true;
+}
+
+function restoreFromUrl() {
+  restoringUrl = true;
+  if (state.playing) stopPlayback();
+  const transform = applyParams(new URLSearchParams(window.location.search));
+  syncControls();
+  setProjection();
+  mapSvg.call(mapG.node().__zoomBehavior__.transform, transform);
+  renderAll();
+  restoringUrl = false;
+  if (state.locale !== locale.code) changeLocale(state.locale);
+}
+
+function initUrlState() {
+  restoreFromUrl();
+  // normalise the address without adding a history entry
+  window.history.replaceState(null, "", stateToSearch());
+  window.addEventListener("popstate", restoreFromUrl);
 }
 
 // playback
@@ -736,23 +6479,24 @@ let playTimer = null;
 
 function startPlayback() {
   state.playing = true;
-  playBtn.text("Pause ❚❚");
+  playbackEntryPushed = false;
+  playBtn.text(t("Pause ❚❚"));
 
-  let idx = years.indexOf(state.year);
+  const timelineYears = exposureIndex().years;
+  let idx = timelineYears.indexOf(state.year);
   if (idx < 0) idx = 0;
 
   playTimer = setInterval(() => {
-    idx = (idx + 1) % years.length;
-    state.year = years[idx];
-    yearSlider.property("value", state.year);
-    yearLabel.text(state.year);
+    idx = (idx + 1) % timelineYears.length;
+    state.year = timelineYears[idx];
+    syncYearSlider();
     renderAll();
-  }, 1200);
+  }, state.timeline === "annual" ? 400 : 1200);
 }
 
 function stopPlayback() {
   state.playing = false;
-  playBtn.text("Play ▶");
+  playBtn.text(t("Play ▶"));
   if (playTimer) {
     clearInterval(playTimer);
     playTimer = null;